@@ -0,0 +1,40 @@
+/**
+ * Change-point grid benchmark: changePointPosterior on 10,000 synthetic
+ * daily periods, fitted from sorted sufficient statistics (the default)
+ * and by rebuilding the design matrix for every cell (fast: false).
+ *
+ *   npm run bench
+ */
+import { changePointPosterior, defaultPriors, createRng } from "../src/bayesEngine.js";
+
+const N_ROWS = 10000;
+
+const random = createRng(2024);
+const normal = () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+// Daily weather over ~27 years, with heating below 55°F and cooling above 68°F
+const temps = Array.from({ length: N_ROWS }, (_, i) => 55 + 22 * Math.sin((2 * Math.PI * i) / 365.25) + 6 * normal());
+const energy = temps.map(t => 400 + 9 * Math.max(0, 55 - t) + 12 * Math.max(0, t - 68) + 25 * normal());
+
+const time = f => {
+  const t0 = performance.now();
+  const result = f();
+  return { result, ms: performance.now() - t0 };
+};
+
+console.log(`changePointPosterior on ${N_ROWS.toLocaleString()} rows\n`);
+console.log("model  cells   statistics (ms)   full refit (ms)   speed-up   max |Δ log ML|");
+for (const modelType of ["3PH", "3PC", "4P", "5P"]) {
+  const priors = defaultPriors(temps, energy, modelType);
+  const fast = time(() => changePointPosterior(temps, energy, modelType, priors));
+  const slow = time(() => changePointPosterior(temps, energy, modelType, priors, { fast: false }));
+  const maxDiff = Math.max(...fast.result.map((r, i) => Math.abs(r.logML - slow.result[i].logML)));
+  console.log([
+    modelType.padEnd(5),
+    String(fast.result.length).padStart(6),
+    fast.ms.toFixed(0).padStart(17),
+    slow.ms.toFixed(0).padStart(17),
+    `${(slow.ms / fast.ms).toFixed(0)}×`.padStart(10),
+    maxDiff.toExponential(1).padStart(16),
+  ].join(" "));
+}
@@ -1,10 +1,18 @@
-import { useState, useMemo, useRef, useCallback } from "react";
+import { useState, useMemo, useRef, useCallback, useEffect } from "react";
 import {
-  bayesianRegression, buildDesignMatrix, changePointPosterior,
-  parameterPosterior, parameterPrior, sigmaPosterior,
-  posteriorPredictiveFan, savingsPosterior, defaultPriors,
-  fitOLSWithCP, fitOLS,
+  defaultPriors, priorIsValid, changePointLogPrior,
+  isDegreeDayModel, hasChangePoint, modelShape, AVG_MONTH_DAYS,
+  rhoLogPrior, TOWT_KNOTS, bayesFactorStrength, INTERVAL_FAMILIES, randomSeed,
+  savingsExceedance, guaranteedSavings, exceedanceCurve, savingsForFraction,
 } from "./bayesEngine.js";
+import {
+  parseDelimited, guessColumnMapping, validateRows, suggestModel, daysInPeriod, parseTimestamp, detectInterval,
+} from "./dataImport.js";
+import {
+  runInference, runComparison, runSavings, SAMPLING_METHODS, baselineNormals, supportsNormalized, supportsReportingModel, MONTH_NAMES,
+  periodDays, isIntervalData, DAY_NAMES, towLabel,
+  modelRegimeRows, extraMatrix, validateReporting, DEMO_SAVINGS_PCT,
+} from "./inference.js";
 
 // ─── PALETTE (warm cream, matching CFdesigns) ─────────────────
 const C = {
@@ -35,6 +43,7 @@ const DATASETS = {
     desc: "50,000 sq ft office in Chicago. Monthly gas (therms). Strong heating dependency.",
     unit: "therms", fuel: "Natural Gas",
     suggestedModel: "3PH",
+    normals: { source: "Chicago O'Hare 1991–2020 normals", temps: [25, 29, 40, 50, 60, 70, 75, 74, 66, 54, 41, 31] },
     data: [
       { month: "Jan-22", temp: 26, energy: 4820 }, { month: "Feb-22", temp: 30, energy: 4410 },
       { month: "Mar-22", temp: 40, energy: 3280 }, { month: "Apr-22", temp: 52, energy: 1950 },
@@ -55,6 +64,7 @@ const DATASETS = {
     desc: "25,000 sq ft retail in Houston. Monthly electricity (kWh). Strong cooling dependency.",
     unit: "kWh", fuel: "Electricity",
     suggestedModel: "3PC",
+    normals: { source: "Houston Intercontinental 1991–2020 normals", temps: [53, 57, 64, 70, 77, 83, 85, 85, 80, 72, 61, 55] },
     data: [
       { month: "Jan-22", temp: 52, energy: 18200 }, { month: "Feb-22", temp: 56, energy: 18500 },
       { month: "Mar-22", temp: 63, energy: 19800 }, { month: "Apr-22", temp: 70, energy: 22400 },
@@ -75,6 +85,7 @@ const DATASETS = {
     desc: "75,000 sq ft K-8 school in Nashville. Monthly electricity (kWh). Both loads visible.",
     unit: "kWh", fuel: "Electricity",
     suggestedModel: "5P",
+    normals: { source: "Nashville 1991–2020 normals", temps: [39, 44, 52, 61, 69, 77, 80, 79, 73, 62, 50, 43] },
     data: [
       { month: "Jan-22", temp: 38, energy: 62000 }, { month: "Feb-22", temp: 42, energy: 58500 },
       { month: "Mar-22", temp: 52, energy: 48000 }, { month: "Apr-22", temp: 60, energy: 42500 },
@@ -92,10 +103,74 @@ const DATASETS = {
   },
 };
 
+const subscript = k => String(k).replace(/\d/g, c => "₀₁₂₃₄₅₆₇₈₉"[c]);
+
+/** TOWT temperature segments between knots: below 40°F, 40–55°F, …, above 90°F */
+const TOWT_SEGMENTS = [
+  `below ${TOWT_KNOTS[0]}°F`,
+  ...TOWT_KNOTS.slice(1).map((k, i) => `${TOWT_KNOTS[i]}–${k}°F`),
+  `above ${TOWT_KNOTS[TOWT_KNOTS.length - 1]}°F`,
+];
+
 const MODEL_TYPES = {
+  "2P":  { name: "2-Parameter (Linear)", formula: "E = β₀ + β₁·T", params: ["β₀ (intercept at 0°F)", "β₁ (slope)"] },
   "3PH": { name: "3-Parameter Heating", formula: "E = β₀ + β₁·(Tcp − T)⁺", params: ["β₀ (baseload)", "β₁ (heating slope)"] },
   "3PC": { name: "3-Parameter Cooling", formula: "E = β₀ + β₁·(T − Tcp)⁺", params: ["β₀ (baseload)", "β₁ (cooling slope)"] },
+  "4P":  { name: "4-Parameter", formula: "E = β₀ + β₁·(Tcp − T)⁺ + β₂·(T − Tcp)⁺", params: ["β₀ (energy at Tcp)", "β₁ (slope below Tcp)", "β₂ (slope above Tcp)"] },
   "5P":  { name: "5-Parameter", formula: "E = β₀ + β₁·(Tcp_h−T)⁺ + β₂·(T−Tcp_c)⁺", params: ["β₀ (baseload)", "β₁ (heating slope)", "β₂ (cooling slope)"] },
+  // Degree-day families: per-day coefficients, scaled by the days (d) in each billing period
+  "HDD":  { name: "Heating Degree-Day", formula: "E = d·(β₀ + β₁·HDDτ)", params: ["β₀ (baseload per day)", "β₁ (per heating degree-day)"] },
+  "CDD":  { name: "Cooling Degree-Day", formula: "E = d·(β₀ + β₁·CDDτ)", params: ["β₀ (baseload per day)", "β₁ (per cooling degree-day)"] },
+  "HCDD": { name: "Heating + Cooling Degree-Day", formula: "E = d·(β₀ + β₁·HDDτh + β₂·CDDτc)", params: ["β₀ (baseload per day)", "β₁ (per heating degree-day)", "β₂ (per cooling degree-day)"] },
+  // Interval data only: an intercept per time-of-week bin and a piecewise-linear temperature response
+  "TOWT": {
+    name: "Time-of-Week & Temperature", formula: "E = β₀ + α_tow + Σₖ βₖ·Tₖ",
+    params: ["β₀ (intercept at 0°F)", ...TOWT_SEGMENTS.map((seg, k) => `β${subscript(k + 1)} (slope ${seg})`)],
+  },
+};
+
+/** Coefficient names for extra independent variables: γ₁ (occupancy), γ₂ (production), … */
+const covariateParams = (names = []) => names.map((n, k) => `γ${subscript(k + 1)} (${n})`);
+
+/**
+ * Schedule/season regimes are { names, slopes, tags }: the regime names (the
+ * first is the reference), whether slopes as well as intercepts vary by
+ * regime, and each baseline period's regime index.
+ */
+const regimeParams = (spec, nBase) => (spec
+  ? spec.names.slice(1).flatMap(name => Array.from({ length: spec.slopes ? nBase : 1 }, (_, j) => `Δβ${subscript(j)} (${name})`))
+  : []);
+
+/** Names of the coefficients a result shows (TOWT leaves out its time-of-week shifts), by position in paramPosts */
+function shownParamNames({ modelType, regimes, covariates, post, paramIndices }) {
+  const baseNames = MODEL_TYPES[modelType].params;
+  const modelNames = [...baseNames, ...regimeParams(regimes, baseNames.length)];
+  const covariateNames = covariateParams(covariates);
+  const nModel = post.p - covariateNames.length;
+  return paramIndices.map(i => (i < nModel ? modelNames[i] : covariateNames[i - nModel]));
+}
+
+/** Regimes from imported regime tags (first seen is the reference), or null with fewer than two */
+function regimesFromTags(rows) {
+  const names = [...new Set(rows.map(d => d.regime).filter(Boolean))];
+  if (names.length < 2) return null;
+  return { names, slopes: false, tags: rows.map(d => Math.max(0, names.indexOf(d.regime))) };
+}
+
+/** Prior density of the AR(1) coefficient on (−1, 1), normalized for plotting */
+function rhoPriorDensity(ar1, nPoints = 199) {
+  const xs = Array.from({ length: nPoints }, (_, i) => -1 + (2 * (i + 0.5)) / nPoints);
+  const w = xs.map(x => Math.exp(rhoLogPrior(ar1, x)));
+  const z = w.reduce((a, b) => a + b, 0) * (2 / nPoints);
+  return { points: xs.map((x, i) => ({ x, density: w[i] / z })) };
+}
+
+/** Charts draw at most this many points; longer series are thinned evenly */
+const MAX_PLOT_POINTS = 1500;
+const thinPoints = (points, max = MAX_PLOT_POINTS) => {
+  if (points.length <= max) return points;
+  const stride = points.length / max;
+  return Array.from({ length: max }, (_, i) => points[Math.floor(i * stride)]);
 };
 
 const STEPS = ["Scenario", "Priors", "Posterior", "Predictive", "Savings"];
@@ -120,6 +195,43 @@ const Label = ({ children, color }) => (
   <div style={{ fontSize: 11, letterSpacing: 4, color: color || C.teal, fontWeight: 600, textTransform: "uppercase", marginBottom: 12, fontFamily: MONO }}>{children}</div>
 );
 
+const ToggleGroup = ({ options, value, onChange }) => (
+  <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+    {options.map(([key, label]) => (
+      <button key={key} onClick={() => onChange(key)}
+        style={{
+          background: value === key ? C.teal : C.card,
+          color: value === key ? "#fff" : C.text,
+          border: `1px solid ${value === key ? C.teal : C.border}`,
+          borderRadius: 6, padding: "8px 16px", fontSize: 13, cursor: "pointer", fontFamily: FONT,
+        }}>
+        {label}
+      </button>
+    ))}
+  </div>
+);
+
+const AVERAGING_OPTIONS = [["bma", "Averaged over change points"], ["map", "MAP change point only"]];
+const SAVINGS_VIEWS = [["expected", "Expected savings"], ["realized", "Realized savings"]];
+const SAVINGS_UNITS = [["absolute", "Absolute"], ["percent", "Percent of counterfactual"]];
+const SAMPLING_OPTIONS = Object.entries(SAMPLING_METHODS).map(([key, { label }]) => [key, label]);
+
+// Fractional savings summary rescaled to percent for display
+const asPercent = sp => {
+  const pct = v => v * 100;
+  return {
+    ...sp, mean: pct(sp.mean), median: pct(sp.median), ci95: sp.ci95.map(pct), ci80: sp.ci80.map(pct),
+    bins: sp.bins.map(b => ({ ...b, x: pct(b.x), lo: pct(b.lo), hi: pct(b.hi) })),
+    mcse: sp.mcse && { ...sp.mcse, mean: pct(sp.mcse.mean), median: pct(sp.mcse.median), ci95: sp.mcse.ci95.map(pct), ci80: sp.mcse.ci80.map(pct) },
+  };
+};
+
+// Non-routine adjustments as the engine takes them: entries with an amount, a blank SD meaning a certain amount
+const parseAdjustments = list => list
+  .filter(a => a.mean.trim() !== "")
+  .map(a => ({ label: a.label, mean: Number(a.mean), sd: a.sd.trim() === "" ? 0 : Number(a.sd) }))
+  .filter(a => Number.isFinite(a.mean) && Number.isFinite(a.sd) && a.sd >= 0);
+
 // ─── DENSITY PLOT (SVG) ───────────────────────────────────────
 function DensityPlot({ priorData, posteriorData, olsValue, olsSE, label, width = 500, height = 200 }) {
   const pad = { top: 15, right: 20, bottom: 40, left: 20 };
@@ -202,7 +314,7 @@ function DensityPlot({ priorData, posteriorData, olsValue, olsSE, label, width =
 }
 
 // ─── CHANGE-POINT POSTERIOR BAR CHART ──────────────────────────
-function CPPosteriorChart({ cpResults, olsCP, width = 500, height = 180 }) {
+function CPPosteriorChart({ cpResults, summary, olsCP, width = 500, height = 180 }) {
   const pad = { top: 15, right: 20, bottom: 40, left: 45 };
   const w = width - pad.left - pad.right;
   const h = height - pad.top - pad.bottom;
@@ -213,15 +325,19 @@ function CPPosteriorChart({ cpResults, olsCP, width = 500, height = 180 }) {
   const binMap = {};
   cpResults.forEach(r => {
     const bin = Math.round(r.cp);
-    binMap[bin] = (binMap[bin] || 0) + r.posterior;
+    if (!binMap[bin]) binMap[bin] = { prob: 0, prior: 0 };
+    binMap[bin].prob += r.posterior;
+    binMap[bin].prior += r.prior ?? 0;
   });
   const bins = Object.entries(binMap)
-    .map(([cp, prob]) => ({ cp: Number(cp), prob }))
+    .map(([cp, b]) => ({ cp: Number(cp), ...b }))
     .sort((a, b) => a.cp - b.cp);
 
   const xMin = bins[0].cp - 1;
   const xMax = bins[bins.length - 1].cp + 1;
-  const yMax = Math.max(...bins.map(b => b.prob)) * 1.15;
+  // 1°F bins: mass per bin and density per °F share a scale
+  const densMax = summary ? Math.max(...summary.density.map(d => d.density)) : 0;
+  const yMax = Math.max(densMax, ...bins.map(b => Math.max(b.prob, b.prior))) * 1.15;
 
   const sx = v => pad.left + ((v - xMin) / (xMax - xMin)) * w;
   const sy = v => pad.top + h - (v / yMax) * h;
@@ -237,6 +353,23 @@ function CPPosteriorChart({ cpResults, olsCP, width = 500, height = 180 }) {
           fill={C.posterior} fillOpacity={0.7} rx={1} />
       ))}
 
+      {/* 95% HPD band and smoothed density */}
+      {summary && (
+        <>
+          <rect x={sx(summary.hpd95[0])} y={pad.top} width={sx(summary.hpd95[1]) - sx(summary.hpd95[0])} height={h}
+            fill={C.ci95} />
+          <polyline points={summary.density.map(d => `${sx(d.x)},${sy(d.density)}`).join(" ")}
+            fill="none" stroke={C.posterior} strokeWidth={2} />
+          <line x1={sx(summary.mean)} x2={sx(summary.mean)} y1={pad.top} y2={pad.top + h} stroke={C.posterior} strokeWidth={1.5} />
+          <text x={sx(summary.mean)} y={pad.top + h + 28} textAnchor="middle" fill={C.posterior} fontSize={9} fontWeight={600}>mean</text>
+        </>
+      )}
+
+      {/* Change-point prior, binned the same way */}
+      <polyline points={bins.map(b => `${sx(b.cp)},${sy(b.prior)}`).join(" ")}
+        fill="none" stroke={C.prior} strokeWidth={2} strokeDasharray="5 3" />
+      <text x={pad.left + w} y={pad.top + 8} textAnchor="end" fill={C.prior} fontSize={9} fontFamily={FONT}>- - prior</text>
+
       {/* OLS change point */}
       {olsCP != null && (
         <>
@@ -265,13 +398,86 @@ function CPPosteriorChart({ cpResults, olsCP, width = 500, height = 180 }) {
   );
 }
 
+// ─── JOINT CHANGE-POINT HEATMAP (5P) ──────────────────────────
+function CPJointChart({ cpResults, summary, best, width = 600, height = 420 }) {
+  const pad = { top: 60, right: 70, bottom: 45, left: 55 };
+  const w = width - pad.left - pad.right;
+  const h = height - pad.top - pad.bottom;
+  const strip = 45;
+
+  const cells = (cpResults || []).filter(r => r.cp2 != null);
+  if (cells.length === 0 || !summary?.cp || !summary?.cp2) return null;
+
+  const xMin = Math.min(...cells.map(r => r.cp - r.width / 2));
+  const xMax = Math.max(...cells.map(r => r.cp + r.width / 2));
+  const yMin = Math.min(...cells.map(r => r.cp2 - r.width2 / 2));
+  const yMax = Math.max(...cells.map(r => r.cp2 + r.width2 / 2));
+  const dMax = Math.max(...cells.map(r => r.density));
+
+  const sx = v => pad.left + ((v - xMin) / (xMax - xMin)) * w;
+  const sy = v => pad.top + h - ((v - yMin) / (yMax - yMin)) * h;
+
+  // Marginals: heating along the top, cooling along the right
+  const mxMax = Math.max(...summary.cp.density.map(d => d.density));
+  const myMax = Math.max(...summary.cp2.density.map(d => d.density));
+  const topPath = summary.cp.density.map(d => `${sx(d.x)},${pad.top - 6 - (d.density / mxMax) * strip}`).join(" ");
+  const rightPath = summary.cp2.density.map(d => `${pad.left + w + 6 + (d.density / myMax) * strip},${sy(d.x)}`).join(" ");
+
+  const xTicks = [], yTicks = [];
+  for (let t = Math.ceil(xMin / 5) * 5; t <= xMax; t += 5) xTicks.push(t);
+  for (let t = Math.ceil(yMin / 5) * 5; t <= yMax; t += 5) yTicks.push(t);
+
+  return (
+    <svg width={width} height={height} style={{ fontFamily: MONO, overflow: "visible" }}>
+      {/* Heatmap: one rectangle per (adaptive) grid cell, shaded by density */}
+      {cells.map((r, i) => (
+        <rect key={i} x={sx(r.cp - r.width / 2)} y={sy(r.cp2 + r.width2 / 2)}
+          width={sx(r.cp + r.width / 2) - sx(r.cp - r.width / 2)} height={sy(r.cp2 - r.width2 / 2) - sy(r.cp2 + r.width2 / 2)}
+          fill={C.posterior} fillOpacity={Math.pow(r.density / dMax, 0.6)} />
+      ))}
+
+      {/* MAP */}
+      {best?.cp2 != null && (
+        <circle cx={sx(best.cp)} cy={sy(best.cp2)} r={4} fill="none" stroke={C.ols} strokeWidth={2} />
+      )}
+
+      {/* Marginals */}
+      <polyline points={topPath} fill="none" stroke={C.posterior} strokeWidth={1.5} />
+      <polyline points={rightPath} fill="none" stroke={C.posterior} strokeWidth={1.5} />
+      <line x1={pad.left} x2={pad.left + w} y1={pad.top - 6} y2={pad.top - 6} stroke={C.border} />
+      <line x1={pad.left + w + 6} x2={pad.left + w + 6} y1={pad.top} y2={pad.top + h} stroke={C.border} />
+
+      {/* Axes */}
+      <rect x={pad.left} y={pad.top} width={w} height={h} fill="none" stroke={C.border} />
+      {xTicks.map(t => (
+        <g key={`x${t}`}>
+          <line x1={sx(t)} x2={sx(t)} y1={pad.top + h} y2={pad.top + h + 4} stroke={C.textDim} />
+          <text x={sx(t)} y={pad.top + h + 16} textAnchor="middle" fill={C.textDim} fontSize={10}>{t}°</text>
+        </g>
+      ))}
+      {yTicks.map(t => (
+        <g key={`y${t}`}>
+          <line x1={pad.left - 4} x2={pad.left} y1={sy(t)} y2={sy(t)} stroke={C.textDim} />
+          <text x={pad.left - 7} y={sy(t) + 3} textAnchor="end" fill={C.textDim} fontSize={10}>{t}°</text>
+        </g>
+      ))}
+      <text x={pad.left + w / 2} y={pad.top + h + 34} textAnchor="middle" fill={C.textSoft} fontSize={11} fontFamily={FONT}>Heating change point (°F)</text>
+      <text x={14} y={pad.top + h / 2} textAnchor="middle" fill={C.textSoft} fontSize={11} fontFamily={FONT}
+        transform={`rotate(-90, 14, ${pad.top + h / 2})`}>Cooling change point (°F)</text>
+    </svg>
+  );
+}
+
 // ─── FAN CHART (posterior predictive) ──────────────────────────
-function FanChart({ fanData, scatterData, olsLine, xLabel, yLabel, width = 650, height = 380 }) {
+function FanChart({ fanData, scatterData: allPoints, olsLine, xLabel, yLabel, width = 650, height = 380 }) {
   const pad = { top: 20, right: 30, bottom: 50, left: 70 };
   const w = width - pad.left - pad.right;
   const h = height - pad.top - pad.bottom;
 
   if (!fanData || fanData.length === 0) return null;
+  // Interval data: thin the cloud, and draw smaller dots so it stays readable
+  const scatterData = thinPoints(allPoints);
+  const dense = scatterData.length > 200;
 
   const allY = [...fanData.map(f => f.ci95_hi), ...fanData.map(f => f.ci95_lo), ...scatterData.map(d => d.energy)];
   const xMin = Math.min(...fanData.map(f => f.temp), ...scatterData.map(d => d.temp)) - 2;
@@ -325,7 +531,8 @@ function FanChart({ fanData, scatterData, olsLine, xLabel, yLabel, width = 650,
 
       {/* Data points */}
       {scatterData.map((d, i) => (
-        <circle key={i} cx={sx(d.temp)} cy={sy(d.energy)} r={5} fill={C.teal} fillOpacity={0.85} stroke="#fff" strokeWidth={1.5} />
+        <circle key={i} cx={sx(d.temp)} cy={sy(d.energy)} r={dense ? 2 : 5} fill={C.teal} fillOpacity={dense ? 0.4 : 0.85}
+          stroke={dense ? "none" : "#fff"} strokeWidth={1.5} />
       ))}
 
       {/* Axes */}
@@ -364,6 +571,52 @@ function FanChart({ fanData, scatterData, olsLine, xLabel, yLabel, width = 650,
   );
 }
 
+// ─── TIME-OF-WEEK PROFILE (TOWT) ──────────────────────────────
+function TimeOfWeekChart({ profile, interval, unit, width = 700, height = 240 }) {
+  const pad = { top: 15, right: 20, bottom: 40, left: 70 };
+  const w = width - pad.left - pad.right;
+  const h = height - pad.top - pad.bottom;
+  if (!profile || profile.length === 0) return null;
+
+  const perDay = interval === "hourly" ? 24 : 1;
+  const yMin = Math.min(...profile.map(b => b.lo));
+  const yMax = Math.max(...profile.map(b => b.hi));
+  const yPad = (yMax - yMin) * 0.1 || 1;
+  const sx = k => pad.left + ((k + 0.5) / profile.length) * w;
+  const sy = v => pad.top + h - ((v - (yMin - yPad)) / (yMax - yMin + 2 * yPad)) * h;
+
+  const band = `M${profile.map(b => `${sx(b.bin)},${sy(b.hi)}`).join(" L")} L${[...profile].reverse().map(b => `${sx(b.bin)},${sy(b.lo)}`).join(" L")} Z`;
+  const line = profile.map((b, i) => `${i === 0 ? "M" : "L"}${sx(b.bin)},${sy(b.mean)}`).join(" ");
+
+  return (
+    <svg width={width} height={height} style={{ fontFamily: MONO, overflow: "visible" }}>
+      {/* Day boundaries */}
+      {DAY_NAMES.map((day, d) => {
+        const x0 = pad.left + (d * perDay / profile.length) * w;
+        return (
+          <g key={day}>
+            {d > 0 && <line x1={x0} x2={x0} y1={pad.top} y2={pad.top + h} stroke="#e8e3db" strokeDasharray="3 3" />}
+            <text x={x0 + (perDay / profile.length) * w / 2} y={pad.top + h + 16} textAnchor="middle" fill={C.textDim} fontSize={10}>{day}</text>
+          </g>
+        );
+      })}
+      <path d={band} fill={C.ci95} />
+      <path d={line} fill="none" stroke={C.posterior} strokeWidth={perDay > 1 ? 1.5 : 2.5} />
+      {perDay === 1 && profile.map(b => <circle key={b.bin} cx={sx(b.bin)} cy={sy(b.mean)} r={4} fill={C.posterior} />)}
+
+      <line x1={pad.left} x2={pad.left + w} y1={pad.top + h} y2={pad.top + h} stroke={C.border} />
+      <line x1={pad.left} x2={pad.left} y1={pad.top} y2={pad.top + h} stroke={C.border} />
+      {[yMin, (yMin + yMax) / 2, yMax].map(v => (
+        <text key={v} x={pad.left - 8} y={sy(v) + 4} textAnchor="end" fill={C.textDim} fontSize={10}>
+          {Math.abs(v) >= 1000 ? `${(v / 1000).toFixed(1)}k` : v.toFixed(0)}
+        </text>
+      ))}
+      <text x={16} y={pad.top + h / 2} textAnchor="middle" fill={C.textSoft} fontSize={11} fontFamily={FONT}
+        transform={`rotate(-90, 16, ${pad.top + h / 2})`}>{unit}</text>
+    </svg>
+  );
+}
+
 // ─── HISTOGRAM (savings posterior) ────────────────────────────
 function HistogramChart({ bins, ci95, ci80, mean, median, width = 550, height = 220, unit }) {
   const pad = { top: 15, right: 20, bottom: 40, left: 20 };
@@ -425,6 +678,130 @@ function HistogramChart({ bins, ci95, ci80, mean, median, width = 550, height =
   );
 }
 
+// ─── EXCEEDANCE CURVE (SVG) ───────────────────────────────────
+function ExceedanceChart({ curve, target, confidence, guaranteed, width = 550, height = 220, unit }) {
+  const pad = { top: 15, right: 20, bottom: 40, left: 40 };
+  const w = width - pad.left - pad.right;
+  const h = height - pad.top - pad.bottom;
+
+  if (!curve || curve.length === 0) return null;
+
+  const xMin = curve[0].x;
+  const xMax = curve[curve.length - 1].x;
+  const sx = v => pad.left + ((Math.min(Math.max(v, xMin), xMax) - xMin) / (xMax - xMin)) * w;
+  const sy = v => pad.top + h - v * h;
+  const path = curve.map((pt, i) => `${i === 0 ? "M" : "L"}${sx(pt.x)},${sy(pt.prob)}`).join(" ");
+
+  return (
+    <svg width={width} height={height} style={{ fontFamily: MONO, overflow: "visible" }}>
+      {/* Probability grid */}
+      {[0, 0.25, 0.5, 0.75, 1].map(p => (
+        <g key={p}>
+          <line x1={pad.left} x2={pad.left + w} y1={sy(p)} y2={sy(p)} stroke={C.border} strokeOpacity={p === 0 ? 1 : 0.5} />
+          <text x={pad.left - 6} y={sy(p) + 3} textAnchor="end" fill={C.textDim} fontSize={10}>{(p * 100).toFixed(0)}%</text>
+        </g>
+      ))}
+
+      {/* Confidence level and the level guaranteed at it */}
+      <line x1={pad.left} x2={pad.left + w} y1={sy(confidence)} y2={sy(confidence)} stroke={C.amber} strokeWidth={1.5} strokeDasharray="4 3" />
+      {guaranteed >= xMin && guaranteed <= xMax && (
+        <>
+          <line x1={sx(guaranteed)} x2={sx(guaranteed)} y1={sy(confidence)} y2={pad.top + h} stroke={C.amber} strokeWidth={1.5} strokeDasharray="4 3" />
+          <circle cx={sx(guaranteed)} cy={sy(confidence)} r={4} fill={C.amber} />
+        </>
+      )}
+
+      {/* P(savings > x) */}
+      <path d={path} fill="none" stroke={C.posterior} strokeWidth={2.5} />
+
+      {/* Target */}
+      {target != null && target >= xMin && target <= xMax && (
+        <>
+          <line x1={sx(target)} x2={sx(target)} y1={pad.top} y2={pad.top + h} stroke={C.rose} strokeWidth={1.5} />
+          <text x={sx(target)} y={pad.top - 3} textAnchor="middle" fill={C.rose} fontSize={9} fontWeight={600}>target</text>
+        </>
+      )}
+
+      {/* Axis */}
+      {[0.25, 0.5, 0.75].map(f => {
+        const v = xMin + (xMax - xMin) * f;
+        return (
+          <g key={f}>
+            <line x1={sx(v)} x2={sx(v)} y1={pad.top + h} y2={pad.top + h + 4} stroke={C.textDim} />
+            <text x={sx(v)} y={pad.top + h + 16} textAnchor="middle" fill={C.textDim} fontSize={10}>
+              {Math.abs(v) >= 1000 ? `${(v / 1000).toFixed(1)}k` : v.toFixed(0)}
+            </text>
+          </g>
+        );
+      })}
+      <text x={pad.left + w / 2} y={pad.top + h + 32} textAnchor="middle" fill={C.textSoft} fontSize={11} fontFamily={FONT}>
+        Savings threshold ({unit}) — probability savings exceed it
+      </text>
+    </svg>
+  );
+}
+
+// ─── SAVINGS TIMELINE (SVG) ───────────────────────────────────
+// P(savings > target) after each reporting month, drawn up to `frame`
+function TimelineChart({ points, frame, confidence, crossing, width = 550, height = 220 }) {
+  const pad = { top: 15, right: 20, bottom: 40, left: 40 };
+  const w = width - pad.left - pad.right;
+  const h = height - pad.top - pad.bottom;
+
+  if (!points || points.length === 0) return null;
+
+  const n = points.length;
+  const sx = i => pad.left + (n === 1 ? w / 2 : (i / (n - 1)) * w);
+  const sy = v => pad.top + h - v * h;
+  const shown = points.slice(0, frame + 1);
+  const line = key => shown
+    .map((pt, i) => (pt[key] == null ? null : `${sx(i)},${sy(pt[key])}`))
+    .filter(Boolean)
+    .map((xy, i) => `${i === 0 ? "M" : "L"}${xy}`)
+    .join(" ");
+  const labelEvery = Math.ceil(n / 12);
+
+  return (
+    <svg width={width} height={height} style={{ fontFamily: MONO, overflow: "visible" }}>
+      {/* Probability grid */}
+      {[0, 0.25, 0.5, 0.75, 1].map(p => (
+        <g key={p}>
+          <line x1={pad.left} x2={pad.left + w} y1={sy(p)} y2={sy(p)} stroke={C.border} strokeOpacity={p === 0 ? 1 : 0.5} />
+          <text x={pad.left - 6} y={sy(p) + 3} textAnchor="end" fill={C.textDim} fontSize={10}>{(p * 100).toFixed(0)}%</text>
+        </g>
+      ))}
+
+      {/* Contract confidence, and the month it is first reached */}
+      <line x1={pad.left} x2={pad.left + w} y1={sy(confidence)} y2={sy(confidence)} stroke={C.amber} strokeWidth={1.5} strokeDasharray="4 3" />
+      {crossing != null && crossing <= frame && (
+        <>
+          <line x1={sx(crossing)} x2={sx(crossing)} y1={pad.top} y2={pad.top + h} stroke={C.amber} strokeWidth={1.5} />
+          <text x={sx(crossing)} y={pad.top - 3} textAnchor="middle" fill={C.amber} fontSize={9} fontWeight={600}>confidence reached</text>
+        </>
+      )}
+
+      {/* Against actual use, and two-model */}
+      <path d={line("pTwo")} fill="none" stroke={C.violet} strokeWidth={2} strokeDasharray="5 3" />
+      <path d={line("p")} fill="none" stroke={C.posterior} strokeWidth={2.5} />
+      {shown.map((pt, i) => <circle key={i} cx={sx(i)} cy={sy(pt.p)} r={i === frame ? 5 : 3} fill={C.posterior} />)}
+
+      {/* Axis */}
+      {points.map((pt, i) => (i % labelEvery === 0 || i === n - 1) && (
+        <g key={i}>
+          <line x1={sx(i)} x2={sx(i)} y1={pad.top + h} y2={pad.top + h + 4} stroke={C.textDim} />
+          <text x={sx(i)} y={pad.top + h + 16} textAnchor="middle" fill={i <= frame ? C.textDim : C.border} fontSize={10}>{pt.month}</text>
+        </g>
+      ))}
+      <text x={pad.left + w / 2} y={pad.top + h + 32} textAnchor="middle" fill={C.textSoft} fontSize={11} fontFamily={FONT}>
+        Reporting months so far — probability cumulative savings beat the target
+      </text>
+    </svg>
+  );
+}
+
+// Timeline playback: one reporting month per frame
+const TIMELINE_FRAME_MS = 700;
+
 // ─── SLIDER ───────────────────────────────────────────────────
 function PriorSlider({ label, value, min, max, step, onChange, description, format }) {
   return (
@@ -442,82 +819,698 @@ function PriorSlider({ label, value, min, max, step, onChange, description, form
   );
 }
 
+// ─── CHANGE-POINT PRIOR EDITOR ────────────────────────────────
+const CP_PRIOR_TYPES = [["flat", "Flat"], ["uniform", "Uniform range"], ["normal", "Truncated normal"], ["custom", "Custom weights"]];
+
+/** Parse "50:1, 55:4, 60:1" into [[50, 1], [55, 4], [60, 1]]; null if malformed */
+function parseWeightPoints(text) {
+  const pairs = text.split(/[,;\n]/).map(t => t.trim()).filter(Boolean);
+  if (pairs.length === 0) return null;
+  const points = pairs.map(pair => pair.split(":").map(Number));
+  const ok = points.every(pt => pt.length === 2 && pt.every(Number.isFinite) && pt[1] >= 0);
+  return ok && points.some(pt => pt[1] > 0) ? points : null;
+}
+
+function CPPriorEditor({ label, value, onChange, lo, hi }) {
+  const type = value?.type || "flat";
+  const [text, setText] = useState(() => (value?.points || [[lo, 1], [hi, 1]]).map(([t, w]) => `${t}:${w}`).join(", "));
+  const textValid = parseWeightPoints(text) !== null;
+
+  const setType = t => {
+    if (t === "flat") onChange(null);
+    else if (t === "uniform") onChange({ type: t, lo, hi });
+    else if (t === "normal") onChange({ type: t, mean: Math.round((lo + hi) / 2), sd: Math.max(1, Math.round((hi - lo) / 4)), lo, hi });
+    else onChange({ type: t, points: parseWeightPoints(text) || [[lo, 1], [hi, 1]] });
+  };
+
+  return (
+    <div style={{ marginBottom: 16 }}>
+      <div style={{ fontSize: 13, fontWeight: 600, color: C.text, fontFamily: FONT, marginBottom: 8 }}>{label}</div>
+      <div style={{ marginBottom: 12 }}>
+        <ToggleGroup options={CP_PRIOR_TYPES} value={type} onChange={setType} />
+      </div>
+      {type === "flat" && (
+        <div style={{ fontSize: 11, color: C.textDim, fontFamily: FONT }}>Every candidate on the search grid is equally likely a priori.</div>
+      )}
+      {(type === "uniform" || type === "normal") && (
+        <>
+          {type === "normal" && (
+            <>
+              <PriorSlider label="Most likely change point" value={value.mean} min={lo} max={hi} step={0.5}
+                onChange={v => onChange({ ...value, mean: v })}
+                description="Center of the prior, e.g. your engineering estimate of the balance point"
+                format={v => `${v}°F`} />
+              <PriorSlider label="Std. dev." value={value.sd} min={0.5} max={Math.max(1, hi - lo)} step={0.5}
+                onChange={v => onChange({ ...value, sd: v })}
+                description="How sure you are of that estimate"
+                format={v => `± ${v}°F`} />
+            </>
+          )}
+          <PriorSlider label="Lower bound" value={value.lo} min={lo} max={hi} step={0.5}
+            onChange={v => onChange({ ...value, lo: Math.min(v, value.hi) })}
+            description="No prior mass below this temperature"
+            format={v => `${v}°F`} />
+          <PriorSlider label="Upper bound" value={value.hi} min={lo} max={hi} step={0.5}
+            onChange={v => onChange({ ...value, hi: Math.max(v, value.lo) })}
+            description="No prior mass above this temperature"
+            format={v => `${v}°F`} />
+        </>
+      )}
+      {type === "custom" && (
+        <>
+          <input type="text" value={text} style={{ ...inputStyle, width: "100%", fontFamily: MONO }}
+            onChange={e => {
+              setText(e.target.value);
+              const points = parseWeightPoints(e.target.value);
+              if (points) onChange({ type: "custom", points });
+            }} />
+          <div style={{ fontSize: 11, color: textValid ? C.textDim : C.rose, marginTop: 4, fontFamily: FONT }}>
+            {textValid
+              ? "temperature:weight pairs, interpolated linearly between points and zero outside them"
+              : "Use temperature:weight pairs such as 50:1, 58:4, 65:1 (weights ≥ 0, at least one positive)"}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// ─── CSV / TSV IMPORT ─────────────────────────────────────────
+const MIN_IMPORT_ROWS = 6;
+const FUELS = ["Electricity", "Natural Gas", "Steam", "Chilled Water", "Other"];
+
+const inputStyle = {
+  border: `1px solid ${C.border}`, borderRadius: 6, padding: "6px 10px", fontSize: 13,
+  fontFamily: FONT, color: C.text, background: C.card,
+};
+
+function ColumnSelect({ label, headers, value, onChange, noneLabel }) {
+  return (
+    <label style={{ display: "flex", flexDirection: "column", gap: 4, fontSize: 12, color: C.textSoft, fontFamily: FONT }}>
+      {label}
+      <select value={value} onChange={e => onChange(Number(e.target.value))} style={inputStyle}>
+        {noneLabel && <option value={-1}>{noneLabel}</option>}
+        {headers.map((h, i) => <option key={i} value={i}>{h}</option>)}
+      </select>
+    </label>
+  );
+}
+
+/**
+ * `varNames` lists extra variables the rows must carry (the reporting period
+ * needs the baseline's); without it, any other columns may be picked as
+ * extra variables and are reported to onUse as meta.covariates. An optional
+ * regime column tags periods; `regimeNames` restricts the allowed tags.
+ */
+function ImportPanel({
+  title = "Import Meter Data", intro, valueKey = "energy", valueLabel = "Energy",
+  minRows = MIN_IMPORT_ROWS, withMeta = false, varNames = null, regimeNames = null, onUse, onCancel,
+}) {
+  const [text, setText] = useState("");
+  const [mapping, setMapping] = useState(null);
+  const [meta, setMeta] = useState({ name: "My Building", unit: "kWh", fuel: "Electricity" });
+
+  const parsed = useMemo(() => (text.trim() ? parseDelimited(text) : null), [text]);
+  const activeMapping = useMemo(() => {
+    if (mapping) return mapping;
+    if (!parsed) return null;
+    const guess = guessColumnMapping(parsed.headers);
+    // Required variables are matched to columns by header name
+    const vars = varNames
+      ? Object.fromEntries(varNames.map(n => [n, parsed.headers.findIndex(h => h.toLowerCase() === n.toLowerCase())]))
+      : {};
+    return { ...guess, vars };
+  }, [mapping, parsed, varNames]);
+  const usedColumns = activeMapping
+    ? new Set([activeMapping.period, activeMapping.temp, activeMapping.energy, activeMapping.days, activeMapping.regime])
+    : new Set();
+  const toggleVar = (header, col) => {
+    const vars = { ...activeMapping.vars };
+    if (header in vars) delete vars[header];
+    else vars[header] = col;
+    setMapping({ ...activeMapping, vars });
+  };
+  const result = useMemo(
+    () => (parsed && parsed.headers.length >= 3 ? validateRows(parsed, activeMapping, valueKey, regimeNames) : null),
+    [parsed, activeMapping, valueKey, regimeNames]
+  );
+
+  const loadText = (t) => { setText(t); setMapping(null); };
+  const onFile = (e) => {
+    const file = e.target.files?.[0];
+    if (file) file.text().then(loadText);
+  };
+
+  const canUse = result && result.data.length >= minRows && (!withMeta || meta.unit.trim() !== "");
+
+  return (
+    <Card>
+      <Label>{title}</Label>
+      <P style={{ fontSize: 13 }}>
+        {intro} Rows with missing, non-numeric or duplicate entries are skipped and listed below.
+      </P>
+
+      <div style={{ display: "flex", gap: 12, alignItems: "center", marginBottom: 12 }}>
+        <input type="file" accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values" onChange={onFile}
+          style={{ fontSize: 12, fontFamily: FONT, color: C.textSoft }} />
+        <span style={{ fontSize: 12, color: C.textDim }}>or paste below</span>
+      </div>
+      <textarea value={text} onChange={e => loadText(e.target.value)} rows={6}
+        placeholder={`month,temp,${valueKey}\nJan-24,28,4710\nFeb-24,31,4390`}
+        style={{ ...inputStyle, width: "100%", fontFamily: MONO, fontSize: 12, resize: "vertical" }} />
+
+      {parsed && parsed.headers.length < 3 && (
+        <div style={{ fontSize: 12, color: C.rose, marginTop: 8 }}>
+          Need at least three columns (period, temperature, {valueLabel.toLowerCase()}) — found {parsed.headers.length}.
+        </div>
+      )}
+
+      {result && (
+        <>
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr 1fr", gap: 12, marginTop: 16 }}>
+            <ColumnSelect label="Period label" headers={parsed.headers} value={activeMapping.period}
+              onChange={v => setMapping({ ...activeMapping, period: v })} />
+            <ColumnSelect label="Temperature (°F)" headers={parsed.headers} value={activeMapping.temp}
+              onChange={v => setMapping({ ...activeMapping, temp: v })} />
+            <ColumnSelect label={valueLabel} headers={parsed.headers} value={activeMapping.energy}
+              onChange={v => setMapping({ ...activeMapping, energy: v })} />
+            <ColumnSelect label="Days in period (optional)" headers={parsed.headers} value={activeMapping.days ?? -1}
+              noneLabel="— from period label —"
+              onChange={v => setMapping({ ...activeMapping, days: v })} />
+            {(withMeta || regimeNames) && (
+              <ColumnSelect label="Regime tag (optional)" headers={parsed.headers} value={activeMapping.regime ?? -1}
+                noneLabel={regimeNames ? `— all ${regimeNames[0]} —` : "— none —"}
+                onChange={v => setMapping({ ...activeMapping, regime: v })} />
+            )}
+          </div>
+          {varNames && varNames.length > 0 && (
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr 1fr", gap: 12, marginTop: 12 }}>
+              {varNames.map(n => (
+                <ColumnSelect key={n} label={n} headers={parsed.headers} value={activeMapping.vars[n] ?? -1}
+                  noneLabel="— choose a column —"
+                  onChange={v => setMapping({ ...activeMapping, vars: { ...activeMapping.vars, [n]: v } })} />
+              ))}
+            </div>
+          )}
+          {!varNames && parsed.headers.some((_, i) => !usedColumns.has(i)) && (
+            <div style={{ marginTop: 12, fontSize: 12, color: C.textSoft, fontFamily: FONT }}>
+              Additional independent variables (optional):
+              <div style={{ display: "flex", gap: 16, flexWrap: "wrap", marginTop: 6 }}>
+                {parsed.headers.map((h, i) => !usedColumns.has(i) && (
+                  <label key={i} style={{ display: "flex", alignItems: "center", gap: 6, cursor: "pointer", color: C.text }}>
+                    <input type="checkbox" checked={h in activeMapping.vars} onChange={() => toggleVar(h, i)}
+                      style={{ accentColor: C.teal }} />
+                    {h}
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+          {withMeta && <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 12, marginTop: 12 }}>
+            <label style={{ display: "flex", flexDirection: "column", gap: 4, fontSize: 12, color: C.textSoft }}>
+              Building name
+              <input value={meta.name} onChange={e => setMeta({ ...meta, name: e.target.value })} style={inputStyle} />
+            </label>
+            <label style={{ display: "flex", flexDirection: "column", gap: 4, fontSize: 12, color: C.textSoft }}>
+              Unit
+              <input value={meta.unit} onChange={e => setMeta({ ...meta, unit: e.target.value })} style={inputStyle} />
+            </label>
+            <label style={{ display: "flex", flexDirection: "column", gap: 4, fontSize: 12, color: C.textSoft }}>
+              Fuel
+              <select value={meta.fuel} onChange={e => setMeta({ ...meta, fuel: e.target.value })} style={inputStyle}>
+                {FUELS.map(f => <option key={f} value={f}>{f}</option>)}
+              </select>
+            </label>
+          </div>}
+
+          <div style={{ fontSize: 12, fontFamily: MONO, marginTop: 16, color: C.text }}>
+            {result.data.length} valid period{result.data.length === 1 ? "" : "s"} · {result.issues.length} skipped
+          </div>
+          {result.data.length < minRows && (
+            <div style={{ fontSize: 12, color: C.rose, marginTop: 4 }}>
+              At least {minRows} valid period{minRows === 1 ? " is" : "s are"} needed.
+            </div>
+          )}
+          {result.issues.length > 0 && (
+            <ul style={{ margin: "8px 0 0", paddingLeft: 18, maxHeight: 120, overflowY: "auto" }}>
+              {result.issues.map(iss => (
+                <li key={iss.line} style={{ fontSize: 12, color: C.rose, fontFamily: MONO }}>Line {iss.line}: {iss.message}</li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+
+      <div style={{ display: "flex", justifyContent: "flex-end", gap: 8, marginTop: 20 }}>
+        <Btn secondary onClick={onCancel}>Cancel</Btn>
+        <Btn onClick={() => onUse(result.data, { ...meta, covariates: Object.keys(activeMapping.vars) })} disabled={!canUse}>Use this data</Btn>
+      </div>
+    </Card>
+  );
+}
+
+// ─── REPORTING PERIOD ─────────────────────────────────────────
+/** Interval data runs to thousands of periods; the editor shows the first few hundred */
+const MAX_EDITOR_ROWS = 200;
+
+function ReportingEditor({ rows, onChange, unit, varNames = [], regimeNames = null, timestamps = false }) {
+  const [importing, setImporting] = useState(false);
+  const { issues } = validateReporting(rows, varNames, regimeNames, timestamps);
+
+  const update = (i, key, value) => onChange(rows.map((r, j) => (j === i ? { ...r, [key]: value } : r)));
+  const cell = { ...inputStyle, width: "100%", padding: "4px 8px", fontFamily: MONO, fontSize: 12 };
+
+  if (importing) {
+    return (
+      <ImportPanel
+        title="Import Reporting Data"
+        intro={`Paste or upload a CSV/TSV with a header row — one row per reporting period, with a period label, the average outdoor temperature (°F) and the actual metered consumption. An optional days column gives billing-period lengths; otherwise they are read from month labels.${timestamps ? " The time-of-week model needs each period label to be a date or date-time (e.g. 2024-03-05 14:00)." : ""}`}
+        valueKey="actual" valueLabel="Actual consumption" minRows={1} varNames={varNames} regimeNames={regimeNames}
+        onCancel={() => setImporting(false)}
+        onUse={data => {
+          onChange(data.map(d => ({
+            month: d.month, temp: String(d.temp), actual: String(d.actual), days: d.days != null ? String(d.days) : "",
+            vars: Object.fromEntries(varNames.map(n => [n, String(d.vars[n])])), regime: d.regime ?? "",
+          })));
+          setImporting(false);
+        }}
+      />
+    );
+  }
+
+  return (
+    <div>
+      {rows.length > 0 && (
+        <div style={{ maxHeight: 280, overflowY: "auto", marginBottom: 12 }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, fontFamily: FONT }}>
+            <thead>
+              <tr style={{ color: C.textDim, textAlign: "left" }}>
+                <th style={{ padding: "4px 6px", fontWeight: 600 }}>Period</th>
+                <th style={{ padding: "4px 6px", fontWeight: 600 }}>Temp (°F)</th>
+                <th style={{ padding: "4px 6px", fontWeight: 600 }}>Actual ({unit})</th>
+                <th style={{ padding: "4px 6px", fontWeight: 600 }}>Days</th>
+                {regimeNames && <th style={{ padding: "4px 6px", fontWeight: 600 }}>Regime</th>}
+                {varNames.map(n => <th key={n} style={{ padding: "4px 6px", fontWeight: 600 }}>{n}</th>)}
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {rows.slice(0, MAX_EDITOR_ROWS).map((r, i) => (
+                <tr key={i}>
+                  <td style={{ padding: 3 }}><input value={r.month} onChange={e => update(i, "month", e.target.value)} style={cell} /></td>
+                  <td style={{ padding: 3 }}><input value={r.temp} onChange={e => update(i, "temp", e.target.value)} style={cell} /></td>
+                  <td style={{ padding: 3 }}><input value={r.actual} onChange={e => update(i, "actual", e.target.value)} style={cell} /></td>
+                  <td style={{ padding: 3, width: 64 }}>
+                    <input value={r.days ?? ""} onChange={e => update(i, "days", e.target.value)} style={cell}
+                      placeholder={String(daysInPeriod(r.month) ?? "auto")} title="Days in period (blank: from the period label)" />
+                  </td>
+                  {regimeNames && (
+                    <td style={{ padding: 3 }}>
+                      <select value={r.regime || regimeNames[0]} onChange={e => update(i, "regime", e.target.value)} style={cell}>
+                        {regimeNames.map(n => <option key={n} value={n}>{n}</option>)}
+                      </select>
+                    </td>
+                  )}
+                  {varNames.map(n => (
+                    <td key={n} style={{ padding: 3 }}>
+                      <input value={r.vars?.[n] ?? ""} onChange={e => update(i, "vars", { ...r.vars, [n]: e.target.value })} style={cell} />
+                    </td>
+                  ))}
+                  <td style={{ padding: 3, width: 28 }}>
+                    <button onClick={() => onChange(rows.filter((_, j) => j !== i))} title="Remove period"
+                      style={{ background: "none", border: "none", color: C.textDim, cursor: "pointer", fontSize: 14 }}>×</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {rows.length > MAX_EDITOR_ROWS && (
+            <div style={{ fontSize: 12, color: C.textSoft, fontFamily: FONT, padding: "6px 6px 0" }}>
+              Showing the first {MAX_EDITOR_ROWS} of {rows.length.toLocaleString()} periods — re-import to change the rest.
+            </div>
+          )}
+        </div>
+      )}
+      {issues.length > 0 && (
+        <ul style={{ margin: "0 0 12px", paddingLeft: 18, maxHeight: 120, overflowY: "auto" }}>
+          {issues.map(iss => (
+            <li key={iss.line} style={{ fontSize: 12, color: C.rose, fontFamily: MONO }}>Row {iss.line - 1}: {iss.message}</li>
+          ))}
+        </ul>
+      )}
+      <div style={{ display: "flex", gap: 8 }}>
+        <Btn secondary onClick={() => onChange([...rows, { month: `Month ${rows.length + 1}`, temp: "", actual: "", days: "", vars: {} }])}>+ Add period</Btn>
+        <Btn secondary onClick={() => setImporting(true)}>Paste / import CSV…</Btn>
+        {rows.length > 0 && <Btn secondary onClick={() => onChange([])}>Clear</Btn>}
+      </div>
+    </div>
+  );
+}
+
+// ─── SCHEDULE / SEASON REGIMES ────────────────────────────────
+const MAX_REGIMES = 4;
+const DEFAULT_REGIME_NAMES = ["In session", "Break", "Regime C", "Regime D"];
+
+/** Turn regimes on/off, name them, and tag each baseline period with one */
+function RegimeEditor({ value, onChange, rows, nBase }) {
+  if (!value) {
+    return (
+      <Btn secondary onClick={() => onChange({ names: DEFAULT_REGIME_NAMES.slice(0, 2), slopes: false, tags: rows.map(() => 0) })}>
+        Add regimes
+      </Btn>
+    );
+  }
+  const counts = value.names.map((_, k) => value.tags.filter(t => t === k).length);
+  // Each regime needs enough periods to pin down its own intercept (and slopes)
+  const minPeriods = value.slopes ? nBase + 1 : 2;
+  const removeRegime = k => onChange({
+    ...value,
+    names: value.names.filter((_, j) => j !== k),
+    tags: value.tags.map(t => (t === k ? 0 : t > k ? t - 1 : t)),
+  });
+
+  return (
+    <div>
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginBottom: 12 }}>
+        {value.names.map((name, k) => (
+          <div key={k} style={{ display: "flex", alignItems: "center", gap: 4 }}>
+            <input value={name} style={{ ...inputStyle, width: 130 }}
+              title={k === 0 ? "Reference regime: the others are modelled as shifts from it" : undefined}
+              onChange={e => onChange({ ...value, names: value.names.map((n, j) => (j === k ? e.target.value : n)) })} />
+            <span style={{ fontSize: 11, fontFamily: MONO, color: counts[k] < minPeriods ? C.rose : C.textDim }}>
+              {counts[k]}{k === 0 ? " · ref." : ""}
+            </span>
+            {value.names.length > 2 && (
+              <button onClick={() => removeRegime(k)} title="Remove regime"
+                style={{ background: "none", border: "none", color: C.textDim, cursor: "pointer", fontSize: 14 }}>×</button>
+            )}
+          </div>
+        ))}
+        {value.names.length < MAX_REGIMES && (
+          <Btn secondary onClick={() => onChange({ ...value, names: [...value.names, DEFAULT_REGIME_NAMES[value.names.length]] })}>+ Regime</Btn>
+        )}
+      </div>
+      <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 13, color: C.text, fontFamily: FONT, marginBottom: 12, cursor: "pointer" }}>
+        <input type="checkbox" checked={value.slopes} style={{ accentColor: C.teal }}
+          onChange={e => onChange({ ...value, slopes: e.target.checked })} />
+        Regime-specific slopes (otherwise only the baseload shifts)
+      </label>
+      {rows.length > MAX_EDITOR_ROWS ? (
+        <div style={{ fontSize: 12, color: C.textSoft, fontFamily: FONT, marginBottom: 12 }}>
+          {rows.length.toLocaleString()} periods are too many to tag by hand — import them with a regime column instead.
+        </div>
+      ) : <div style={{ display: "flex", gap: 8, flexWrap: "wrap", maxHeight: 180, overflowY: "auto", marginBottom: 12 }}>
+        {rows.map((d, i) => (
+          <label key={d.month} style={{ display: "flex", flexDirection: "column", gap: 2, fontSize: 11, color: C.textSoft, fontFamily: MONO }}>
+            {d.month}
+            <select value={value.tags[i]} style={{ ...inputStyle, padding: "2px 4px", fontSize: 11 }}
+              onChange={e => onChange({ ...value, tags: value.tags.map((t, j) => (j === i ? Number(e.target.value) : t)) })}>
+              {value.names.map((n, k) => <option key={k} value={k}>{n}</option>)}
+            </select>
+          </label>
+        ))}
+      </div>}
+      {counts.some(c => c < minPeriods) && (
+        <div style={{ fontSize: 12, color: C.rose, fontFamily: FONT, marginBottom: 12 }}>
+          Regimes with fewer than {minPeriods} tagged periods (in red) are pinned down mostly by their prior.
+        </div>
+      )}
+      <Btn secondary onClick={() => onChange(null)}>Remove regimes</Btn>
+    </div>
+  );
+}
+
 // ═══════════════════════════════════════════════════════════════
 // MAIN WORKBENCH COMPONENT
 // ═══════════════════════════════════════════════════════════════
+// ─── INFERENCE WORKER ─────────────────────────────────────────
+/** Sliders re-run inference (or, past the fit, just the savings) once they have been still this long */
+const LIVE_UPDATE_DELAY_MS = 250;
+
+const PIPELINE = { inference: runInference, comparison: runComparison, savings: runSavings };
+
+/**
+ * Runs the inference pipeline in a Web Worker. run(task, request) resolves
+ * with the task's result, or with undefined when a newer run superseded it:
+ * starting a run cancels the one in flight by terminating the worker.
+ * `progress` is { stage, fraction } while a run is going. Without Worker
+ * support the pipeline runs on the main thread.
+ */
+function useInferenceWorker() {
+  const worker = useRef(null);
+  const job = useRef(null);
+  const nextId = useRef(0);
+  const [progress, setProgress] = useState(null);
+
+  const settle = (outcome, value) => {
+    const current = job.current;
+    job.current = null;
+    setProgress(null);
+    current?.[outcome](value);
+  };
+
+  const run = (task, request) => {
+    if (job.current) {
+      worker.current.terminate();
+      worker.current = null;
+      settle("resolve", undefined);
+    }
+    if (typeof Worker === "undefined") return Promise.resolve(PIPELINE[task](request));
+    if (!worker.current) {
+      worker.current = new Worker(new URL("./inferenceWorker.js", import.meta.url), { type: "module" });
+      worker.current.onmessage = ({ data }) => {
+        if (data.id !== job.current?.id) return;
+        if (data.type === "progress") setProgress({ stage: data.stage, fraction: data.fraction });
+        else if (data.type === "result") settle("resolve", data.result);
+        else settle("reject", new Error(data.message));
+      };
+      // A worker that failed to load or threw outside a task is unusable: drop it so the next run starts a fresh one
+      worker.current.onerror = e => {
+        worker.current.terminate();
+        worker.current = null;
+        settle("reject", new Error(e.message));
+      };
+    }
+    const id = ++nextId.current;
+    setProgress({ stage: "Starting", fraction: 0 });
+    return new Promise((resolve, reject) => {
+      job.current = { id, resolve, reject };
+      worker.current.postMessage({ id, task, request });
+    });
+  };
+
+  useEffect(() => () => worker.current?.terminate(), []);
+  return { run, progress };
+}
+
+/** Thin progress bar with the pipeline stage, for a run in flight */
+const ProgressBar = ({ progress }) => (
+  <div style={{ fontFamily: FONT, fontSize: 12, color: C.textSoft }}>
+    <div style={{ height: 4, background: C.border, borderRadius: 2, overflow: "hidden", marginBottom: 6 }}>
+      <div style={{ width: `${Math.round(progress.fraction * 100)}%`, height: "100%", background: C.teal, transition: "width 0.2s" }} />
+    </div>
+    {progress.stage} · {Math.round(progress.fraction * 100)}%
+  </div>
+);
+
 export default function BayesianWorkbench({ onBack }) {
   const [step, setStep] = useState(0);
   const [datasetKey, setDatasetKey] = useState(null);
   const [modelType, setModelType] = useState(null);
   const [priors, setPriors] = useState(null);
   const [computed, setComputed] = useState(null);
-
-  const dataset = datasetKey ? DATASETS[datasetKey] : null;
+  const [customDataset, setCustomDataset] = useState(null);
+  const [showImport, setShowImport] = useState(false);
+  const [reportingMode, setReportingMode] = useState("demo");
+  const [reportingRows, setReportingRows] = useState([]);
+  const [averaging, setAveraging] = useState("bma");
+  const [savingsView, setSavingsView] = useState("expected");
+  const [savingsUnit, setSavingsUnit] = useState("absolute");
+  const [noiseRho, setNoiseRho] = useState(0);
+  const [samplingMethod, setSamplingMethod] = useState("fixed");
+  // Savings target for the exceedance tool: a percentage of counterfactual use, or energy units
+  const [target, setTarget] = useState({ unit: "percent", value: 10 });
+  const [targetConfidence, setTargetConfidence] = useState(0.9);
+  // Standard year for weather-normalized savings: off, the location's normals, the baseline's monthly means, or entered
+  const [normalsSource, setNormalsSource] = useState("off");
+  const [customNormals, setCustomNormals] = useState(() => Array(12).fill(""));
+  // Fit a second model to the reporting period and compare it with the baseline
+  const [twoModel, setTwoModel] = useState(false);
+  // Non-routine adjustments to the counterfactual, as edited: { label, mean, sd } with the numbers as typed
+  const [adjustments, setAdjustments] = useState([]);
+  // Savings timeline: the last reporting month shown, or null for all of them
+  const [timelineFrame, setTimelineFrame] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [regimes, setRegimes] = useState(null);
+  const [fanRegime, setFanRegime] = useState(0);
+  const [inferenceError, setInferenceError] = useState(null);
+  // Seed for every random draw, shown with the savings so the figures can be regenerated
+  const [seed, setSeed] = useState(randomSeed);
+
+  const dataset = datasetKey === "custom" ? customDataset : datasetKey ? DATASETS[datasetKey] : null;
 
   // Initialize priors when dataset/model selected
-  const initPriors = (dsKey, mt) => {
-    const ds = DATASETS[dsKey];
+  const initPriors = (ds, mt, spec = regimes) => {
     const temps = ds.data.map(d => d.temp);
     const energy = ds.data.map(d => d.energy);
-    setPriors(defaultPriors(temps, energy, mt));
+    setPriors(defaultPriors(temps, energy, mt, periodDays(ds.data, ds.interval), extraMatrix(ds.data, ds.covariates), modelRegimeRows(ds, mt, spec)));
   };
 
-  // Run Bayesian inference
-  const runInference = () => {
-    if (!dataset || !modelType || !priors) return;
-    const temps = dataset.data.map(d => d.temp);
-    const energy = dataset.data.map(d => d.energy);
+  // Regime count or slope sharing change the coefficient set, so priors start over; re-tagging doesn't
+  const updateRegimes = next => {
+    const reshaped = !next !== !regimes || next?.names.length !== regimes?.names.length || next?.slopes !== regimes?.slopes;
+    setRegimes(next);
+    if (reshaped) { initPriors(dataset, modelType, next); setComputed(null); setFanRegime(0); }
+  };
 
-    // Bayesian: posterior over change-points
-    const cpResults = changePointPosterior(temps, energy, modelType, priors);
-    if (cpResults.length === 0) return;
-
-    // Best change-point (MAP)
-    const bestCP = cpResults.reduce((a, b) => a.posterior > b.posterior ? a : b);
-    const post = bestCP.post;
-
-    // OLS for comparison
-    const ols = fitOLSWithCP(temps, energy, modelType);
-
-    // Parameter posteriors
-    const paramPosts = post.muN.map((_, i) => parameterPosterior(post, i));
-    const paramPriors = post.muN.map((_, i) => parameterPrior(priors, i, post.p));
-
-    // Posterior predictive fan
-    const tMin = Math.min(...temps) - 3;
-    const tMax = Math.max(...temps) + 3;
-    const cp1 = bestCP.cp;
-    const cp2 = bestCP.cp2 || null;
-    const fan = posteriorPredictiveFan(post, modelType, cp1, cp2, tMin, tMax);
-
-    // OLS prediction line
-    const olsLine = [];
-    if (ols) {
-      for (let t = tMin; t <= tMax; t += 0.5) {
-        const X = buildDesignMatrix([t], modelType, ols.cp || ols.cph, ols.cpc);
-        olsLine.push({ temp: t, energy: X[0].reduce((s, v, j) => s + v * ols.beta[j], 0) });
-      }
+  // Inference runs in the worker; `inputs` stamps a result with what it was computed from
+  const inference = useInferenceWorker();
+  const normals = useMemo(() => {
+    if (!dataset || normalsSource === "off") return null;
+    if (normalsSource === "location") return dataset.normals?.temps ?? null;
+    if (normalsSource === "baseline") return baselineNormals(dataset.data);
+    const temps = customNormals.map(v => (v.trim() === "" ? NaN : Number(v)));
+    return temps.every(Number.isFinite) ? temps : null;
+  }, [dataset, normalsSource, customNormals]);
+  const inferenceInputs = useMemo(
+    () => ({ dataset, modelType, priors, regimes, reportingMode, reportingRows, seed, normals, twoModel }),
+    [dataset, modelType, priors, regimes, reportingMode, reportingRows, seed, normals, twoModel]
+  );
+  const fresh = !!computed && computed.inputs === inferenceInputs;
+  // What only the savings depend on; `settings` stamps a result with the ones it was computed with.
+  // Adjustments enter by their numbers alone, so editing a label (or a half-typed amount) recomputes nothing.
+  const adjustmentAmounts = JSON.stringify(parseAdjustments(adjustments).map(({ mean, sd }) => [mean, sd]));
+  const savingsSettings = useMemo(
+    () => ({ rho: noiseRho, sampling: samplingMethod, adjustments: JSON.parse(adjustmentAmounts).map(([mean, sd]) => ({ mean, sd })) }),
+    [noiseRho, samplingMethod, adjustmentAmounts]
+  );
+  const settled = fresh && computed.settings === savingsSettings;
+
+  // Run Bayesian inference; resolves true once `computed` holds the result
+  const updatePosterior = async () => {
+    if (!dataset || !modelType || !priors) return false;
+    const inputs = inferenceInputs, settings = savingsSettings;
+    let result;
+    try {
+      result = await inference.run("inference", { ...inputs, noiseRho: settings.rho, sampling: settings.sampling, adjustments: settings.adjustments });
+    } catch (err) {
+      setInferenceError(err.message);
+      return false;
     }
+    if (result === undefined) return false; // superseded by a newer run
+    setInferenceError(null);
+    setComparison(null);
+    setComputed(result && { ...result, inputs, settings });
+    return !!result;
+  };
 
-    // Generate reporting period data (synthetic savings)
-    const savingsPct = 12;
-    const reportingTemps = [30, 38, 48, 58, 66, 76, 82, 80, 72, 60, 44, 32];
-    const reportingData = reportingTemps.map((temp, i) => {
-      const X = buildDesignMatrix([temp], modelType, cp1, cp2);
-      const predicted = X[0].reduce((s, v, j) => s + v * post.muN[j], 0);
-      const actual = predicted * (1 - savingsPct / 100) + (Math.random() - 0.5) * predicted * 0.03;
-      return { month: `Month ${i + 1}`, temp, actual: Math.round(actual), predicted: Math.round(predicted) };
-    });
+  // Re-run shortly after the inputs settle: live on the Priors step, and for a new seed later on
+  const updatePosteriorRef = useRef(updatePosterior);
+  useEffect(() => { updatePosteriorRef.current = updatePosterior; });
+  useEffect(() => {
+    if (step < 1 || fresh) return;
+    const timer = setTimeout(() => updatePosteriorRef.current(), LIVE_UPDATE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [step, fresh, inferenceInputs]);
+
+  // Timeline playback advances one month per frame until the last
+  const timelineLength = computed?.timeline?.length ?? 0;
+  useEffect(() => {
+    if (timelineFrame == null || timelineFrame >= timelineLength - 1) return;
+    const timer = setTimeout(() => setTimelineFrame(f => f + 1), TIMELINE_FRAME_MS);
+    return () => clearTimeout(timer);
+  }, [timelineFrame, timelineLength]);
+
+  // Evidence for every model family; the selected one keeps the user's priors
+  const compareFamilies = async () => {
+    try {
+      const result = await inference.run("comparison", { dataset, modelType: computed.modelType, priors, regimes });
+      if (result !== undefined) setComparison(result);
+    } catch (err) {
+      setInferenceError(err.message);
+    }
+  };
 
-    // Savings posterior
-    const savingsPost = savingsPosterior(post, modelType, cp1, cp2, reportingData, 5000);
+  // Savings recomputed in the worker, without refitting, when only the savings settings changed
+  const recomputeSavings = async () => {
+    const base = computed, settings = savingsSettings;
+    let result;
+    try {
+      result = await inference.run("savings", {
+        modelType: base.modelType, cpResults: base.cpResults, bestCP: base.bestCP, reportingData: base.reportingData,
+        reportingCP: base.reportingCP, normalYear: base.normalYear, twoModel: !!base.twoModel, timeline: base.timeline, seed: base.inputs.seed,
+        ...settings, resample: settings.sampling !== base.settings.sampling,
+      });
+    } catch (err) {
+      setInferenceError(err.message);
+      return;
+    }
+    if (result === undefined) return; // superseded by a newer run
+    setComputed(c => (c === base ? { ...c, ...result, settings } : c));
+  };
 
-    setComputed({
-      cpResults, bestCP, post, ols,
-      paramPosts, paramPriors,
-      fan, olsLine, reportingData, savingsPost,
-      cp1, cp2,
-    });
+  // …shortly after the noise correlation, the sampling method or the adjustments settle
+  const recomputeSavingsRef = useRef(recomputeSavings);
+  useEffect(() => { recomputeSavingsRef.current = recomputeSavings; });
+  useEffect(() => {
+    if (!fresh || settled) return;
+    const timer = setTimeout(() => recomputeSavingsRef.current(), LIVE_UPDATE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [fresh, settled, computed, savingsSettings]);
+
+  // Everything needed to regenerate the savings figures: every input the result was computed from, the seed and the summaries
+  const exportResults = () => {
+    const { inputs, settings } = computed;
+    const ds = inputs.dataset;
+    const stats = ({ mean, median, ci80, ci95, probPositive, nSamples, mcse }) => ({ mean, median, ci80, ci95, probPositive, nSamples, mcse });
+    const withFraction = sp => ({ ...stats(sp), fraction: sp.fraction && stats(sp.fraction) });
+    const summary = sp => sp && { ...withFraction(sp), realized: withFraction(sp.realized) };
+    const levelShift = ({ probShift, logBF, start, nAfter, shift }) => ({ probShift, logBF, start, nAfter, shift });
+    const results = {
+      exported: new Date().toISOString(),
+      seed: inputs.seed,
+      dataset: {
+        name: ds.name, unit: ds.unit, fuel: ds.fuel, interval: ds.interval ?? "monthly",
+        covariates: ds.covariates ?? [], data: ds.data,
+      },
+      modelType: inputs.modelType, priors: inputs.priors, regimes: inputs.regimes,
+      reportingMode: inputs.reportingMode, reportingRows: inputs.reportingMode === "demo" ? null : inputs.reportingRows,
+      normals: inputs.normals && {
+        source: normalsSource === "location" ? ds.normals.source : normalsSource, temps: inputs.normals,
+      },
+      fitReportingModel: inputs.twoModel,
+      // One sampling method for every figure below: a new one re-samples the two-model and normalized savings too
+      noiseRho: settings.rho, sampling: settings.sampling, adjustments: parseAdjustments(adjustments),
+      reportingData: computed.reportingData.map(({ month, temp, days, extra, regime, actual }) => ({
+        month, temp, days, extra, regime: regime?.dummies ?? null, actual,
+      })),
+      savings: { averaged: summary(computed.savings.bma), mapOnly: summary(computed.savings.map) },
+      nonRoutine: computed.events && {
+        periods: computed.events.scores.map(({ mean, sd, residual, tailProb, outlier }, i) => ({
+          month: computed.reportingData[i].month, predicted: mean, sd, residual, tailProb, outlier,
+        })),
+        levelShift: computed.events.levelShift && levelShift(computed.events.levelShift),
+      },
+      twoModel: computed.twoModel && {
+        savings: withFraction(computed.twoModel.savings),
+        shifts: shownParamNames(computed).map((name, i) => {
+          const { baseline, reporting, shift } = computed.twoModel.shifts.coefficients[computed.paramIndices[i]];
+          return { name, baseline, reporting, shift: stats(shift) };
+        }),
+      },
+      normalized: computed.normalized && {
+        normalYear: computed.normalYear.map(({ month, temp, days }) => ({ month, temp, days })),
+        baselineTotal: computed.normalized.baselineTotal, reportingTotal: computed.normalized.reportingTotal,
+        ...withFraction(computed.normalized),
+      },
+    };
+    const url = URL.createObjectURL(new Blob([JSON.stringify(results, null, 2)], { type: "application/json" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${ds.name.replace(/[^\w-]+/g, "-")}-savings-seed-${inputs.seed}.json`;
+    link.click();
+    // Revoking at once can cancel the download before the browser has started it
+    setTimeout(() => URL.revokeObjectURL(url), 0);
   };
 
   // ─── STEP RENDERERS ──────────────────────────────────────────
@@ -530,7 +1523,11 @@ export default function BayesianWorkbench({ onBack }) {
 
       <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 12, marginBottom: 24 }}>
         {Object.entries(DATASETS).map(([key, ds]) => (
-          <div key={key} onClick={() => { setDatasetKey(key); setModelType(ds.suggestedModel); initPriors(key, ds.suggestedModel); }}
+          <div key={key} onClick={() => {
+            const spec = key === datasetKey ? regimes : null;
+            if (key !== datasetKey) { setReportingMode("demo"); setReportingRows([]); setRegimes(null); }
+            setDatasetKey(key); setModelType(ds.suggestedModel); initPriors(ds, ds.suggestedModel, spec); setShowImport(false);
+          }}
             style={{
               background: datasetKey === key ? C.tealDim : C.card,
               border: `2px solid ${datasetKey === key ? C.teal : C.border}`,
@@ -545,12 +1542,63 @@ export default function BayesianWorkbench({ onBack }) {
         ))}
       </div>
 
+      {showImport ? (
+        <ImportPanel
+          withMeta
+          intro="Paste or upload a CSV/TSV with a header row — one row per baseline period, with a period label, the average outdoor temperature (°F) and the metered energy. Periods can be monthly bills or daily/hourly interval (AMI) data with date or date-time labels (e.g. 2024-03-05 14:00). An optional days column gives billing-period lengths; otherwise they are read from month labels. An optional regime column tags schedule or season regimes (e.g. in session / break). Other numeric columns (occupancy, production, operating hours…) can be added as extra regressors."
+          onCancel={() => setShowImport(false)}
+          onUse={(data, meta) => {
+            // Interval data is in time order (AR(1) errors rely on it) and suggests the time-of-week model
+            const stamps = data.map(d => parseTimestamp(d.month));
+            const interval = detectInterval(stamps);
+            const rows = interval === "monthly" ? data : data.map((d, i) => ({ d, t: stamps[i] })).sort((a, b) => a.t - b.t).map(r => r.d);
+            const ds = {
+              name: meta.name.trim() || "My Building",
+              desc: `Imported ${interval} data · ${rows.length.toLocaleString()} periods · ${meta.fuel} (${meta.unit}).`,
+              unit: meta.unit.trim(), fuel: meta.fuel,
+              suggestedModel: interval === "monthly" ? suggestModel(rows.map(d => d.temp), rows.map(d => d.energy)) : "TOWT",
+              covariates: meta.covariates,
+              interval,
+              data: rows,
+            };
+            const spec = regimesFromTags(rows);
+            setCustomDataset(ds); setDatasetKey("custom"); setModelType(ds.suggestedModel); setRegimes(spec);
+            initPriors(ds, ds.suggestedModel, spec); setShowImport(false); setComputed(null);
+            setReportingMode("demo"); setReportingRows([]);
+          }}
+        />
+      ) : (
+        <div onClick={() => {
+          if (customDataset && datasetKey !== "custom") {
+            const spec = regimesFromTags(customDataset.data);
+            setReportingMode("demo"); setReportingRows([]); setRegimes(spec);
+            setDatasetKey("custom"); setModelType(customDataset.suggestedModel); initPriors(customDataset, customDataset.suggestedModel, spec);
+          } else {
+            setShowImport(true);
+          }
+        }}
+          style={{
+            background: datasetKey === "custom" ? C.tealDim : "transparent",
+            border: `2px dashed ${datasetKey === "custom" ? C.teal : C.border}`,
+            borderRadius: 8, padding: "16px 20px", marginBottom: 24, cursor: "pointer", transition: "all 0.2s",
+          }}>
+          <div style={{ fontSize: 14, fontWeight: 700, color: C.white, marginBottom: 4 }}>
+            {customDataset ? customDataset.name : "Your Building — Import CSV / TSV"}
+          </div>
+          <div style={{ fontSize: 12, color: C.textSoft, lineHeight: 1.5 }}>
+            {customDataset
+              ? `${customDataset.desc} ${datasetKey === "custom" ? "Click to re-import." : "Click to select."}`
+              : "Bring your own baseline: map columns to period, temperature and energy, then run the same Bayesian pipeline."}
+          </div>
+        </div>
+      )}
+
       {dataset && (
         <Card>
           <div style={{ fontSize: 13, color: C.textSoft, marginBottom: 12 }}>Model type:</div>
           <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
-            {Object.entries(MODEL_TYPES).map(([key, m]) => (
-              <button key={key} onClick={() => { setModelType(key); initPriors(datasetKey, key); }}
+            {Object.entries(MODEL_TYPES).filter(([key]) => isIntervalData(dataset) || !INTERVAL_FAMILIES.includes(key)).map(([key, m]) => (
+              <button key={key} onClick={() => { setModelType(key); initPriors(dataset, key); }}
                 style={{
                   background: modelType === key ? C.teal : C.card,
                   color: modelType === key ? "#fff" : C.text,
@@ -562,6 +1610,62 @@ export default function BayesianWorkbench({ onBack }) {
               </button>
             ))}
           </div>
+          {isDegreeDayModel(modelType) && (isIntervalData(dataset) ? (
+            <div style={{ fontSize: 12, color: C.textSoft, marginTop: 12, fontFamily: FONT }}>
+              Degree-day models work per day; each {dataset.interval === "hourly" ? "hour counts as 1/24 of a day" : "period counts as one day"}.
+            </div>
+          ) : (
+            <div style={{ fontSize: 12, color: C.textSoft, marginTop: 12, fontFamily: FONT }}>
+              Degree-day models work per day, so billing periods of unequal length are weighted by their length.
+              Days per period come from a days column, else from month labels such as "Jan-22"
+              ({dataset.data.filter(d => d.days == null && daysInPeriod(d.month) == null).length} of {dataset.data.length} periods
+              fall back to an average {AVG_MONTH_DAYS.toFixed(1)}-day month).
+            </div>
+          ))}
+          {modelType === "TOWT" && (
+            <div style={{ fontSize: 12, color: C.textSoft, marginTop: 12, fontFamily: FONT }}>
+              The time-of-week-and-temperature model gives every {dataset.interval === "hourly" ? "hour of the week (168 bins)" : "day of the week"} its
+              own intercept, read from the period timestamps, and lets the temperature response bend at {TOWT_KNOTS.join(", ")}°F. It needs
+              no change point, so it suits interval data where the schedule drives load as much as the weather does.
+            </div>
+          )}
+        </Card>
+      )}
+
+      {dataset && modelType && (
+        <Card>
+          <Label>Schedule & Season Regimes</Label>
+          <P style={{ fontSize: 13 }}>
+            Schools, retail and campuses run in distinct regimes — in session vs. summer break, holiday season — that one
+            change-point model can't represent. Tag each baseline period with its regime: every regime after the first gets its
+            own baseload shift, and optionally its own slopes, while the change point is shared.
+          </P>
+          {modelType === "TOWT" ? (
+            <div style={{ fontSize: 13, color: C.textSoft, fontFamily: FONT }}>
+              The time-of-week model already gives every {dataset.interval === "hourly" ? "hour" : "day"} of the week its own intercept, so
+              regimes are not used with it.
+            </div>
+          ) : (
+            <RegimeEditor value={regimes} onChange={updateRegimes} rows={dataset.data} nBase={MODEL_TYPES[modelType].params.length} />
+          )}
+        </Card>
+      )}
+
+      {dataset && (
+        <Card>
+          <Label>Reporting Period</Label>
+          <P style={{ fontSize: 13 }}>
+            Savings are the baseline counterfactual minus what the building actually used after the retrofit. Enter, paste or
+            import the reporting-period temperature and consumption — or use a <Em>demo</Em> {isIntervalData(dataset) ? "replay of the baseline period" : "year"} with {DEMO_SAVINGS_PCT}% savings built in.
+          </P>
+          <div style={{ marginBottom: 16 }}>
+            <ToggleGroup value={reportingMode} onChange={setReportingMode}
+              options={[["actual", "Actual reporting data"], ["demo", `Demo (synthetic ${DEMO_SAVINGS_PCT}% savings)`]]} />
+          </div>
+          {reportingMode === "actual" && (
+            <ReportingEditor rows={reportingRows} onChange={setReportingRows} unit={dataset.unit} varNames={dataset.covariates}
+              regimeNames={modelType === "TOWT" ? null : regimes?.names} timestamps={modelType === "TOWT"} />
+          )}
         </Card>
       )}
 
@@ -583,51 +1687,183 @@ export default function BayesianWorkbench({ onBack }) {
     if (!priors || !dataset) return null;
     const temps = dataset.data.map(d => d.temp);
     const energy = dataset.data.map(d => d.energy);
-    const yMean = energy.reduce((a, b) => a + b, 0) / energy.length;
-    const yMax = Math.max(...energy);
+    // Degree-day coefficients are per day, so their slider ranges are too
+    const dd = isDegreeDayModel(modelType);
+    const shape = modelShape(modelType);
+    const days = periodDays(dataset.data, dataset.interval);
+    const yMax = Math.max(...(dd ? energy.map((e, i) => e / days[i]) : energy));
+    const unitB = dd ? `${dataset.unit}/day` : dataset.unit;
+    const unitS = dd ? `${dataset.unit}/°F-day` : `${dataset.unit}/°F`;
+    const noiseMax = Math.round(Math.max(...energy) ** 2 * 0.1 / (dd ? AVG_MONTH_DAYS : 1));
+    const slopeMax = Math.max(10, Math.round(yMax / 10));
+    const covariates = dataset.covariates ?? [];
+    const nBase = MODEL_TYPES[modelType].params.length;
+    // TOWT's time-of-week shifts share one slider; other families list each regime shift
+    const towt = modelType === "TOWT";
+    const signed = modelType === "2P" || towt;
+    const shiftNames = towt ? [] : regimeParams(regimes, nBase);
+    const paramNames = [...MODEL_TYPES[modelType].params, ...shiftNames, ...covariateParams(covariates)];
+    const p = paramNames.length + (towt ? priors.regimes.length : 0);
+    const slopeName = towt ? `β₁…β${subscript(nBase - 1)} (segment slopes)` : paramNames[1];
+    const shortName = i => (i < nBase ? paramNames[i].split(" ")[0] : paramNames[i]);
+    const setRegimePrior = (k, patch) => setPriors({ ...priors, regimes: priors.regimes.map((e, j) => (j === k ? { ...e, ...patch } : e)) });
+    // Slider ranges for extra coefficients follow the data-driven default SDs, not the current ones
+    const defaultExtraSD = covariates.length > 0
+      ? defaultPriors(temps, energy, modelType, days, extraMatrix(dataset.data, covariates)).extra.map(e => e.sd)
+      : [];
+    const setExtraPrior = (k, patch) => setPriors({ ...priors, extra: priors.extra.map((e, j) => (j === k ? { ...e, ...patch } : e)) });
+    const baseStep = Math.max(1, Math.round(yMax / 100));
+    const cpLo = Math.floor(Math.min(...temps)), cpHi = Math.ceil(Math.max(...temps));
+    // The change-point prior must leave some mass on the search grid (data range less its margins)
+    const gridMargin = shape === "5P" ? 4 : 3;
+    const hasCPMass = cpPrior => {
+      for (let t = Math.min(...temps) + gridMargin; t <= Math.max(...temps) - gridMargin; t += 0.5) {
+        if (changePointLogPrior(cpPrior, t) > -Infinity) return true;
+      }
+      return false;
+    };
+    const cpPriorValid = !hasChangePoint(modelType) || (hasCPMass(priors.cpPrior) && (shape !== "5P" || hasCPMass(priors.cp2Prior)));
+    const valid = priorIsValid(priors, p) && cpPriorValid;
+    const identityCorr = Array.from({ length: p }, (_, i) => Array.from({ length: p }, (_, j) => i === j ? 1 : 0));
+    const corrPairs = [];
+    if (!towt) for (let i = 0; i < p; i++) for (let j = i + 1; j < p; j++) corrPairs.push([i, j]);
+    const setCorr = (i, j, v) => {
+      const corr = priors.corr.map(row => [...row]);
+      corr[i][j] = v;
+      corr[j][i] = v;
+      setPriors({ ...priors, corr });
+    };
 
     return (
       <>
         <Label color={C.violet}>Step 2 · Set Your Priors</Label>
         <h2 style={{ fontSize: 24, color: C.white, margin: "0 0 8px", fontWeight: 700 }}>What Do You Believe Before Seeing Data?</h2>
-        <P>This is the step that doesn't exist in frequentist M&V. Bayesian inference requires you to <Em>state your prior beliefs</Em> — then the data updates them. Try making the prior strong (high confidence) vs. weak (vague) and watch how it affects the posterior.</P>
+        <P>This is the step that doesn't exist in frequentist M&V. Bayesian inference requires you to <Em>state your prior beliefs</Em> — then the data updates them. Each coefficient gets its own mean and standard deviation, in its own units. Narrow a standard deviation to state confidence in that coefficient, widen it to let the data decide, and watch how it affects the posterior.</P>
 
         <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 24 }}>
           <Card>
             <Label>Prior Beliefs</Label>
-            <PriorSlider label="Baseload (β₀)" value={priors.baseload} min={0} max={Math.round(yMax * 1.5)} step={Math.round(yMax / 100)}
+            <PriorSlider label={`${paramNames[0]} — mean`} value={priors.baseload}
+              min={signed ? -Math.round(yMax * 1.5) : 0} max={Math.round(yMax * 1.5)} step={baseStep}
               onChange={v => setPriors({ ...priors, baseload: v })}
-              description="Expected base energy use when heating/cooling load is zero"
-              format={v => `${v.toLocaleString()} ${dataset.unit}`} />
-            <PriorSlider label="Slope (β₁)" value={priors.slope} min={0} max={Math.round(yMax / 10)} step={1}
+              description={modelType === "2P" ? "Expected energy use extrapolated to 0°F"
+                : towt ? `Expected use in the reference bin (${towLabel(0, dataset.interval)}), extrapolated to 0°F`
+                : modelType === "4P" ? "Expected energy use at the change point"
+                : dd ? "Expected daily energy use when no heating/cooling is needed"
+                : "Expected base energy use when heating/cooling load is zero"}
+              format={v => `${v.toLocaleString()} ${unitB}`} />
+            <PriorSlider label={`${paramNames[0]} — std. dev.`} value={priors.baseloadSD} min={baseStep} max={Math.round(yMax * 2)} step={baseStep}
+              onChange={v => setPriors({ ...priors, baseloadSD: v })}
+              description="How far from the mean you think β₀ could plausibly be (≈68% within ±1 SD)"
+              format={v => `± ${v.toLocaleString()} ${unitB}`} />
+            <PriorSlider label={`${slopeName} — mean`} value={priors.slope} min={signed ? -slopeMax : 0} max={slopeMax} step={1}
               onChange={v => setPriors({ ...priors, slope: v })}
-              description="Expected energy change per degree of temperature difference"
-              format={v => `${v} ${dataset.unit}/°F`} />
-            {modelType === "5P" && (
-              <PriorSlider label="Cooling Slope (β₂)" value={priors.slope2 || priors.slope} min={0} max={Math.round(yMax / 10)} step={1}
-                onChange={v => setPriors({ ...priors, slope2: v })}
-                description="Expected cooling energy change per degree above cooling change point"
-                format={v => `${v} ${dataset.unit}/°F`} />
+              description={modelType === "2P" ? "Expected energy change per °F (negative when use falls as it warms)"
+                : towt ? "Expected energy change per °F within each temperature segment (either sign)"
+                : modelType === "4P" ? "Expected energy change per degree below the change point"
+                : dd ? "Expected energy per degree-day below/above the base temperature"
+                : "Expected energy change per degree of temperature difference"}
+              format={v => `${v} ${unitS}`} />
+            <PriorSlider label={`${slopeName} — std. dev.`} value={priors.slopeSD} min={1} max={slopeMax * 2} step={1}
+              onChange={v => setPriors({ ...priors, slopeSD: v })}
+              description="Narrow this to say you know the slope well, e.g. from an engineering estimate"
+              format={v => `± ${v} ${unitS}`} />
+            {nBase === 3 && (
+              <>
+                <PriorSlider label={`${paramNames[2]} — mean`} value={priors.slope2 ?? priors.slope} min={modelType === "4P" ? -slopeMax : 0} max={slopeMax} step={1}
+                  onChange={v => setPriors({ ...priors, slope2: v })}
+                  description={modelType === "4P" ? "Expected energy change per degree above the change point (either sign)"
+                    : dd ? "Expected energy per cooling degree-day above the cooling base temperature"
+                    : "Expected cooling energy change per degree above cooling change point"}
+                  format={v => `${v} ${unitS}`} />
+                <PriorSlider label={`${paramNames[2]} — std. dev.`} value={priors.slope2SD ?? priors.slopeSD} min={1} max={slopeMax * 2} step={1}
+                  onChange={v => setPriors({ ...priors, slope2SD: v })}
+                  description="Uncertainty about the second slope"
+                  format={v => `± ${v} ${unitS}`} />
+              </>
+            )}
+            {towt && priors.regimes.length > 0 && (
+              <PriorSlider label="Time-of-week shifts — std. dev." value={priors.regimes[0].sd} min={baseStep} max={Math.round(yMax * 2)} step={baseStep}
+                onChange={v => setPriors({ ...priors, regimes: priors.regimes.map(e => ({ ...e, sd: v })) })}
+                description={`How far each ${dataset.interval === "hourly" ? "hour" : "day"} of the week's load may sit from ${towLabel(0, dataset.interval)}'s (all ${priors.regimes.length} shifts, centred on none)`}
+                format={v => `± ${v.toLocaleString()} ${unitB}`} />
             )}
+            {shiftNames.map((name, k) => {
+              // Shifts are in the units of the term they shift: baseload, or a slope
+              const j = regimes.slopes ? k % nBase : 0;
+              const range = j === 0 ? Math.round(yMax * 1.5) : slopeMax;
+              const step = j === 0 ? baseStep : 1;
+              const unit = j === 0 ? unitB : unitS;
+              return (
+                <div key={name}>
+                  <PriorSlider label={`${name} — mean`} value={priors.regimes[k].mean} min={-range} max={range} step={step}
+                    onChange={v => setRegimePrior(k, { mean: v })}
+                    description={`Expected change in β${subscript(j)} in this regime, relative to ${regimes.names[0]}`}
+                    format={v => `${v.toLocaleString()} ${unit}`} />
+                  <PriorSlider label={`${name} — std. dev.`} value={priors.regimes[k].sd} min={step} max={2 * range} step={step}
+                    onChange={v => setRegimePrior(k, { sd: v })}
+                    description="Narrow this to say the regimes behave alike; widen it to let the data decide"
+                    format={v => `± ${v.toLocaleString()} ${unit}`} />
+                </div>
+              );
+            })}
+            {covariates.map((name, k) => {
+              // Coefficient units are energy per unit of the variable; the default SD sets the scale
+              const scale = defaultExtraSD[k];
+              const step = Number((scale / 20).toPrecision(2));
+              const unitG = `${unitB} per unit`;
+              return (
+                <div key={name}>
+                  <PriorSlider label={`${paramNames[nBase + shiftNames.length + k]} — mean`} value={priors.extra[k].mean}
+                    min={-5 * scale} max={5 * scale} step={step}
+                    onChange={v => setExtraPrior(k, { mean: v })}
+                    description={`Expected change in ${dd ? "daily " : ""}energy per unit of ${name}`}
+                    format={v => `${Number(v.toPrecision(3))} ${unitG}`} />
+                  <PriorSlider label={`${paramNames[nBase + shiftNames.length + k]} — std. dev.`} value={priors.extra[k].sd}
+                    min={step} max={5 * scale} step={step}
+                    onChange={v => setExtraPrior(k, { sd: v })}
+                    description={`Uncertainty about the effect of ${name}`}
+                    format={v => `± ${Number(v.toPrecision(3))} ${unitG}`} />
+                </div>
+              );
+            })}
+            {!towt && <div style={{ borderTop: `1px solid ${C.border}`, paddingTop: 16, marginTop: 8 }}>
+              <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 13, fontWeight: 600, color: C.text, fontFamily: FONT, marginBottom: 12, cursor: "pointer" }}>
+                <input type="checkbox" checked={!!priors.corr} style={{ accentColor: C.teal }}
+                  onChange={e => setPriors({ ...priors, corr: e.target.checked ? identityCorr : null })} />
+                Correlated prior (full covariance)
+              </label>
+              {priors.corr && corrPairs.map(([i, j]) => (
+                <PriorSlider key={`${i}-${j}`} label={`corr(${shortName(i)}, ${shortName(j)})`}
+                  value={priors.corr[i][j]} min={-0.9} max={0.9} step={0.05}
+                  onChange={v => setCorr(i, j, v)}
+                  description="Prior correlation between the two coefficients"
+                  format={v => v.toFixed(2)} />
+              ))}
+              {!priorIsValid(priors, p) && (
+                <div style={{ fontSize: 12, color: C.rose, fontFamily: FONT, marginBottom: 12 }}>
+                  These correlations don't form a valid covariance matrix (not positive definite). Reduce one of them.
+                </div>
+              )}
+            </div>}
             <div style={{ borderTop: `1px solid ${C.border}`, paddingTop: 16, marginTop: 8 }}>
-              <PriorSlider label="Prior Strength (precision)" value={priors.strength} min={0.0001} max={0.1} step={0.0001}
-                onChange={v => setPriors({ ...priors, strength: v })}
-                description="Low = vague (let data dominate). High = confident (resist the data)."
-                format={v => v < 0.001 ? "Weak (vague)" : v < 0.01 ? "Moderate" : "Strong (informative)"} />
               <PriorSlider label="Noise Shape (a₀)" value={priors.noiseA} min={1} max={20} step={0.5}
                 onChange={v => setPriors({ ...priors, noiseA: v })}
                 description="Higher = more confident about noise level"
                 format={v => v.toFixed(1)} />
-              <PriorSlider label="Noise Scale (b₀)" value={priors.noiseB} min={Math.round(yMax * 0.01)} max={Math.round(yMax * yMax * 0.1)} step={Math.round(yMax * 0.01)}
+              <PriorSlider label="Noise Scale (b₀)" value={priors.noiseB} min={Math.max(1, Math.round(yMax * 0.01))} max={noiseMax} step={Math.max(1, Math.round(yMax * 0.01))}
                 onChange={v => setPriors({ ...priors, noiseB: v })}
-                description="Centers the prior on expected residual variance"
+                description={dd ? "Centers the prior on expected residual variance per day" : "Centers the prior on expected residual variance"}
                 format={v => v.toLocaleString()} />
             </div>
           </Card>
 
           <Card>
             <Label>Your Data (to be observed)</Label>
-            <P style={{ fontSize: 13 }}>These {dataset.data.length} observations will update your priors into posteriors.</P>
+            <P style={{ fontSize: 13 }}>
+              These {dataset.data.length.toLocaleString()} observations will update your priors into posteriors.
+              {dataset.data.length > MAX_PLOT_POINTS && ` An evenly spaced ${MAX_PLOT_POINTS.toLocaleString()} of them are drawn.`}
+            </P>
             <svg width={400} height={250} style={{ fontFamily: MONO }}>
               {/* Simple scatter preview */}
               {(() => {
@@ -637,10 +1873,12 @@ export default function BayesianWorkbench({ onBack }) {
                 const eMin = Math.min(...energy) * 0.85, eMax = Math.max(...energy) * 1.1;
                 const sx = v => pad.left + ((v - tMin) / (tMax - tMin)) * w;
                 const sy = v => pad.top + h - ((v - eMin) / (eMax - eMin)) * h;
+                const dense = dataset.data.length > 200;
                 return (
                   <>
-                    {dataset.data.map((d, i) => (
-                      <circle key={i} cx={sx(d.temp)} cy={sy(d.energy)} r={4} fill={C.teal} fillOpacity={0.8} stroke="#fff" strokeWidth={1} />
+                    {thinPoints(dataset.data).map((d, i) => (
+                      <circle key={i} cx={sx(d.temp)} cy={sy(d.energy)} r={dense ? 1.5 : 4} fill={C.teal} fillOpacity={dense ? 0.4 : 0.8}
+                        stroke={dense ? "none" : "#fff"} strokeWidth={1} />
                     ))}
                     <line x1={pad.left} x2={pad.left + w} y1={pad.top + h} y2={pad.top + h} stroke={C.border} />
                     <line x1={pad.left} x2={pad.left} y1={pad.top} y2={pad.top + h} stroke={C.border} />
@@ -654,9 +1892,110 @@ export default function BayesianWorkbench({ onBack }) {
           </Card>
         </div>
 
+        <Card>
+          <Label>Live Posterior</Label>
+          <P style={{ fontSize: 13 }}>
+            The data update these priors in the background as you move the sliders, so you can see how much each one matters
+            before you commit to it.
+          </P>
+          {inference.progress && <div style={{ marginBottom: 12 }}><ProgressBar progress={inference.progress} /></div>}
+          {inferenceError && <div style={{ fontSize: 12, color: C.rose, fontFamily: FONT, marginBottom: 12 }}>Inference failed: {inferenceError}</div>}
+          {!valid && <div style={{ fontSize: 12, color: C.rose, fontFamily: FONT, marginBottom: 12 }}>Fix the priors above to see a posterior.</div>}
+          {computed?.modelType === modelType && (
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, fontFamily: MONO, opacity: fresh ? 1 : 0.5, transition: "opacity 0.2s" }}>
+              <thead>
+                <tr style={{ color: C.textDim, textAlign: "right" }}>
+                  <th style={{ textAlign: "left", padding: "4px 8px", fontWeight: 600, fontFamily: FONT }}>Coefficient</th>
+                  <th style={{ padding: "4px 8px", fontWeight: 600 }}>Prior</th>
+                  <th style={{ padding: "4px 8px", fontWeight: 600 }}>Posterior mean</th>
+                  <th style={{ padding: "4px 8px", fontWeight: 600 }}>95% credible interval</th>
+                </tr>
+              </thead>
+              <tbody>
+                {shownParamNames(computed).map((name, i) => {
+                  const pr = computed.paramPriors[i], po = computed.paramPosts[i];
+                  return (
+                    <tr key={name} style={{ textAlign: "right", color: C.text }}>
+                      <td style={{ textAlign: "left", padding: "4px 8px", fontFamily: FONT }}>{name}</td>
+                      <td style={{ padding: "4px 8px", color: C.prior }}>{pr ? `${pr.mean.toPrecision(4)} ± ${pr.scale.toPrecision(3)}` : "—"}</td>
+                      <td style={{ padding: "4px 8px", color: C.posterior, fontWeight: 600 }}>{po.mean.toPrecision(4)}</td>
+                      <td style={{ padding: "4px 8px" }}>[{po.ci95[0].toPrecision(4)}, {po.ci95[1].toPrecision(4)}]</td>
+                    </tr>
+                  );
+                })}
+                {computed.bestCP.cp != null && (
+                  <tr style={{ textAlign: "right", color: C.text }}>
+                    <td style={{ textAlign: "left", padding: "4px 8px", fontFamily: FONT }}>MAP change point</td>
+                    <td style={{ padding: "4px 8px" }} />
+                    <td style={{ padding: "4px 8px", color: C.posterior, fontWeight: 600 }}>
+                      {computed.bestCP.cp.toFixed(1)}°F{computed.bestCP.cp2 != null && ` / ${computed.bestCP.cp2.toFixed(1)}°F`}
+                    </td>
+                    <td style={{ padding: "4px 8px" }} />
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          )}
+        </Card>
+
+        {hasChangePoint(modelType) && (
+          <Card>
+            <Label>Change-Point Prior</Label>
+            <P style={{ fontSize: 13 }}>
+              Where do you expect the balance point to be? The prior multiplies the marginal likelihood of each
+              candidate change point, so engineering knowledge such as <Em>"the balance point is around 55–65°F"</Em> narrows
+              the posterior when the data alone can't.
+            </P>
+            <div style={{ display: "grid", gridTemplateColumns: shape === "5P" ? "1fr 1fr" : "1fr", gap: 24 }}>
+              <CPPriorEditor key={`${modelType}-cp`} label={shape === "5P" ? "Heating change point" : dd ? "Base temperature" : "Change point"}
+                value={priors.cpPrior} lo={cpLo} hi={cpHi}
+                onChange={cpPrior => setPriors({ ...priors, cpPrior })} />
+              {shape === "5P" && (
+                <CPPriorEditor key={`${modelType}-cp2`} label={dd ? "Cooling base temperature" : "Cooling change point"}
+                  value={priors.cp2Prior} lo={cpLo} hi={cpHi}
+                  onChange={cp2Prior => setPriors({ ...priors, cp2Prior })} />
+              )}
+            </div>
+            {!cpPriorValid && (
+              <div style={{ fontSize: 12, color: C.rose, fontFamily: FONT }}>
+                This change-point prior puts no mass inside the observed temperature range. Widen it.
+              </div>
+            )}
+          </Card>
+        )}
+
+        <Card>
+          <Label>Residual Autocorrelation</Label>
+          <P style={{ fontSize: 13 }}>
+            Independent errors are a fair assumption for monthly bills, but daily and hourly residuals run in streaks: a warm
+            spell or an operating change carries over to the next interval. Treating them as independent overstates how much
+            information the data hold. An <Em>AR(1)</Em> error model, εₜ = ρ·εₜ₋₁ + uₜ, integrates ρ out under the prior below and
+            widens the posterior, the predictive fan and the savings intervals to match. Periods are taken in the order listed.
+          </P>
+          <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 13, fontWeight: 600, color: C.text, fontFamily: FONT, marginBottom: 12, cursor: "pointer" }}>
+            <input type="checkbox" checked={!!priors.ar1} style={{ accentColor: C.teal }}
+              onChange={e => setPriors({ ...priors, ar1: e.target.checked ? { mean: 0, sd: 0.5 } : null })} />
+            AR(1) errors
+          </label>
+          {priors.ar1 && (
+            <>
+              <PriorSlider label="ρ — prior mean" value={priors.ar1.mean} min={-0.9} max={0.9} step={0.05}
+                onChange={v => setPriors({ ...priors, ar1: { ...priors.ar1, mean: v } })}
+                description="Expected lag-1 correlation of the residuals (0.5–0.9 is typical for daily data)"
+                format={v => v.toFixed(2)} />
+              <PriorSlider label="ρ — prior std. dev." value={priors.ar1.sd} min={0.05} max={2} step={0.05}
+                onChange={v => setPriors({ ...priors, ar1: { ...priors.ar1, sd: v } })}
+                description="Truncated to −1 < ρ < 1; large values make the prior nearly flat"
+                format={v => `± ${v.toFixed(2)}`} />
+            </>
+          )}
+        </Card>
+
         <div style={{ display: "flex", justifyContent: "space-between", marginTop: 16 }}>
           <Btn secondary onClick={() => setStep(0)}>← Scenario</Btn>
-          <Btn onClick={() => { runInference(); setStep(2); }}>Update with data →</Btn>
+          <Btn onClick={async () => { if (fresh || await updatePosterior()) setStep(2); }} disabled={!valid || !!inference.progress}>
+            {inference.progress ? "Updating…" : "Update with data →"}
+          </Btn>
         </div>
       </>
     );
@@ -664,8 +2003,9 @@ export default function BayesianWorkbench({ onBack }) {
 
   const renderPosterior = () => {
     if (!computed) return null;
-    const { paramPosts, paramPriors, cpResults, bestCP, post, ols } = computed;
-    const paramNames = MODEL_TYPES[modelType].params;
+    const { paramIndices, paramPosts, paramPriors, cpResults, bestCP, ols, modelType: mt } = computed;
+    const baseNames = MODEL_TYPES[mt].params;
+    const paramNames = shownParamNames(computed);
 
     return (
       <>
@@ -683,7 +2023,7 @@ export default function BayesianWorkbench({ onBack }) {
                 <DensityPlot
                   priorData={paramPriors[i]}
                   posteriorData={pp}
-                  olsValue={ols ? ols.beta[i] : null}
+                  olsValue={ols ? ols.beta[paramIndices[i]] : null}
                   label={paramNames[i]}
                   width={paramNames.length > 2 ? 280 : 360}
                   height={180}
@@ -691,14 +2031,85 @@ export default function BayesianWorkbench({ onBack }) {
                 <div style={{ fontSize: 11, color: C.textDim, fontFamily: MONO, marginTop: 4 }}>
                   Posterior mean: {pp.mean.toFixed(1)} · 95% CI: [{pp.ci95[0].toFixed(1)}, {pp.ci95[1].toFixed(1)}]
                 </div>
-                {ols && <div style={{ fontSize: 11, color: C.ols, fontFamily: MONO }}>OLS: {ols.beta[i].toFixed(1)} ± {ols.se[i].toFixed(1)}</div>}
+                {ols && <div style={{ fontSize: 11, color: C.ols, fontFamily: MONO }}>OLS: {ols.beta[paramIndices[i]].toFixed(1)} ± {ols.se[paramIndices[i]].toFixed(1)}</div>}
               </div>
             ))}
           </div>
         </Card>
 
+        {/* Per-regime coefficients */}
+        {computed.regimePosts && (
+          <Card>
+            <Label>Posterior by Regime</Label>
+            <P style={{ fontSize: 13 }}>
+              Each regime's own coefficients: the {computed.regimes.names[0]} coefficient plus that regime's shift, with the
+              uncertainty of both (and their correlation) carried through.
+              {!computed.regimes.slopes && " Slopes are shared, so only the baseload differs between regimes."}
+            </P>
+            {computed.regimePosts.map((posts, k) => (
+              <div key={k} style={{ marginBottom: 12 }}>
+                <div style={{ fontSize: 13, fontWeight: 700, color: C.white, marginBottom: 4 }}>{computed.regimes.names[k]}</div>
+                <div style={{ display: "grid", gridTemplateColumns: baseNames.length > 2 ? "1fr 1fr 1fr" : "1fr 1fr", gap: 16 }}>
+                  {posts.map((pp, j) => (
+                    <div key={j}>
+                      <div style={{ fontSize: 12, fontWeight: 600, color: C.text, marginBottom: 4 }}>{baseNames[j]}</div>
+                      <DensityPlot posteriorData={pp} label={baseNames[j]} width={baseNames.length > 2 ? 280 : 360} height={140} />
+                      <div style={{ fontSize: 11, color: C.textDim, fontFamily: MONO, marginTop: 4 }}>
+                        Posterior mean: {pp.mean.toFixed(1)} · 95% CI: [{pp.ci95[0].toFixed(1)}, {pp.ci95[1].toFixed(1)}]
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </Card>
+        )}
+
+        {/* AR(1) residual correlation */}
+        {computed.rhoSummary && (
+          <Card>
+            <Label>Residual Autocorrelation (AR(1))</Label>
+            <div style={{ display: "grid", gridTemplateColumns: "3fr 2fr", gap: 16, alignItems: "center" }}>
+              <DensityPlot priorData={rhoPriorDensity(computed.rhoSummary.prior)} posteriorData={{ points: computed.rhoSummary.density }}
+                label="ρ" width={420} height={180} />
+              <div style={{ fontSize: 13, color: C.text, fontFamily: FONT, lineHeight: 1.8 }}>
+                <div>Posterior mean ρ: <b style={{ fontFamily: MONO }}>{computed.rhoSummary.mean.toFixed(2)}</b></div>
+                <div>95% HPD: <span style={{ fontFamily: MONO }}>[{computed.rhoSummary.hpd95[0].toFixed(2)}, {computed.rhoSummary.hpd95[1].toFixed(2)}]</span></div>
+                <div>
+                  Effective sample size: <b style={{ fontFamily: MONO }}>{computed.rhoSummary.nEff.toFixed(0)}</b> of {dataset.data.length} periods
+                </div>
+                <div style={{ fontSize: 12, color: C.textSoft, marginTop: 8 }}>
+                  n′ = n(1 − ρ)/(1 + ρ), averaged over the posterior (ASHRAE Guideline 14). The coefficient posteriors above are
+                  as uncertain as {computed.rhoSummary.nEff.toFixed(0)} independent periods would leave them, not {dataset.data.length}.
+                </div>
+              </div>
+            </div>
+          </Card>
+        )}
+
+        {/* TOWT weekly load profile */}
+        {computed.towProfile && (
+          <Card>
+            <Label>Time-of-Week Profile</Label>
+            <P style={{ fontSize: 13 }}>
+              Expected load in every {dataset.interval === "hourly" ? "hour" : "day"} of the week at the baseline's mean temperature,
+              with its 95% credible band — the schedule the model learned from the data.
+            </P>
+            <TimeOfWeekChart profile={computed.towProfile} interval={dataset.interval} unit={dataset.unit} />
+          </Card>
+        )}
+
         {/* Change-point posterior */}
-        <Card>
+        {!hasChangePoint(mt) ? (
+          <Card style={{ background: C.surface }}>
+            <Label>Change-Point Posterior</Label>
+            <P style={{ fontSize: 13, margin: 0 }}>
+              {mt === "TOWT"
+                ? `The time-of-week model's temperature response bends at fixed knots (${TOWT_KNOTS.join(", ")}°F) — there is no change point to infer.`
+                : "The 2-parameter model is a straight line — there is no change point to infer."}
+            </P>
+          </Card>
+        ) : <Card>
           <Label>Change-Point Posterior</Label>
           <P style={{ fontSize: 13 }}>
             Frequentist: <Em>"The change point IS {(ols?.cp || ols?.cph || 0).toFixed(0)}°F"</Em> (grid search picks one winner).
@@ -707,14 +2118,135 @@ export default function BayesianWorkbench({ onBack }) {
           </P>
           <CPPosteriorChart
             cpResults={cpResults}
+            summary={computed.cpSummary?.cp}
             olsCP={ols?.cp || ols?.cph}
             width={600}
             height={200}
           />
-          {modelType === "5P" && bestCP.cp2 && (
+          <table style={{ fontSize: 12, fontFamily: MONO, color: C.text, borderCollapse: "collapse", marginTop: 8 }}>
+            <thead>
+              <tr style={{ color: C.textSoft, textAlign: "right" }}>
+                <th style={{ textAlign: "left", padding: "2px 12px 2px 0" }} />
+                <th style={{ padding: "2px 12px" }}>MAP</th>
+                <th style={{ padding: "2px 12px" }}>Mean</th>
+                <th style={{ padding: "2px 12px" }}>Median</th>
+                <th style={{ padding: "2px 12px" }}>95% HPD</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[["Heating CP", "cp"], ["Cooling CP", "cp2"]]
+                .filter(([, key]) => computed.cpSummary?.[key])
+                .map(([label, key]) => {
+                  const S = computed.cpSummary[key];
+                  return (
+                    <tr key={key} style={{ textAlign: "right" }}>
+                      <td style={{ textAlign: "left", padding: "2px 12px 2px 0", color: C.textSoft }}>{modelShape(mt) === "5P" ? label : "Change point"}</td>
+                      <td style={{ padding: "2px 12px" }}>{bestCP[key].toFixed(1)}°F</td>
+                      <td style={{ padding: "2px 12px" }}>{S.mean.toFixed(1)}°F</td>
+                      <td style={{ padding: "2px 12px" }}>{S.median.toFixed(1)}°F</td>
+                      <td style={{ padding: "2px 12px" }}>[{S.hpd95[0].toFixed(1)}, {S.hpd95[1].toFixed(1)}]°F</td>
+                    </tr>
+                  );
+                })}
+            </tbody>
+          </table>
+          <div style={{ fontSize: 11, color: C.textDim, marginTop: 6, fontFamily: FONT }}>
+            The grid refines itself where the posterior concentrates ({cpResults.length} cells evaluated). Shaded band: 95% highest-posterior-density interval.
+          </div>
+        </Card>}
+
+        {/* Joint heating/cooling change points */}
+        {modelShape(mt) === "5P" && computed.cpSummary?.joint && (
+          <Card>
+            <Label>Joint Change-Point Posterior</Label>
+            <P style={{ fontSize: 13 }}>
+              The 5P model has two change points, and they are not independent: the data may pin down the
+              dead band's <Em>position</Em> better than its <Em>width</Em>. Darker cells carry more posterior density;
+              the curves along the edges are the marginals. The red circle marks the MAP pair.
+            </P>
+            <CPJointChart cpResults={cpResults} summary={computed.cpSummary} best={bestCP} />
             <div style={{ fontSize: 12, color: C.textSoft, marginTop: 8, fontFamily: MONO }}>
-              MAP heating CP: {bestCP.cp.toFixed(0)}°F · MAP cooling CP: {bestCP.cp2.toFixed(0)}°F
+              corr(heating, cooling) = {computed.cpSummary.joint.corr.toFixed(2)} ·
+              dead band {computed.cpSummary.joint.deadBand.mean.toFixed(1)}°F
+              (95% CI {computed.cpSummary.joint.deadBand.ci95[0].toFixed(1)}–{computed.cpSummary.joint.deadBand.ci95[1].toFixed(1)}°F)
             </div>
+          </Card>
+        )}
+
+        {/* Model comparison */}
+        <Card>
+          <Label>Compare Models</Label>
+          <P style={{ fontSize: 13 }}>
+            Instead of eyeballing the scatter plot, let the data weigh every model family. Each family's <Em>evidence</Em> p(y | model)
+            averages the marginal likelihood over its change-point grid; with equal prior odds this gives posterior model probabilities
+            and Bayes factors you can show a reviewer.
+          </P>
+          {inference.progress ? (
+            <ProgressBar progress={inference.progress} />
+          ) : !comparison ? (
+            <Btn secondary onClick={compareFamilies}>Compare all model families</Btn>
+          ) : (
+            <>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13, fontFamily: MONO }}>
+                <thead>
+                  <tr style={{ color: C.textDim, textAlign: "right" }}>
+                    <th style={{ textAlign: "left", padding: "4px 8px", fontWeight: 600, fontFamily: FONT }}>Model</th>
+                    <th style={{ padding: "4px 8px", fontWeight: 600 }}>log p(y|M)</th>
+                    <th style={{ padding: "4px 8px", fontWeight: 600, width: 160 }}>P(M|y)</th>
+                    <th style={{ padding: "4px 8px", fontWeight: 600 }}>BF vs. {mt}</th>
+                    <th />
+                  </tr>
+                </thead>
+                <tbody>
+                  {comparison.map(r => {
+                    const selected = comparison.find(c => c.modelType === mt);
+                    const logBF = selected ? r.logEvidence - selected.logEvidence : null;
+                    return (
+                      <tr key={r.modelType} style={{ textAlign: "right", color: r.modelType === mt ? C.posterior : C.text, fontWeight: r.modelType === mt ? 700 : 400 }}>
+                        <td style={{ textAlign: "left", padding: "4px 8px", fontFamily: FONT }}>
+                          {MODEL_TYPES[r.modelType].name}
+                          {r.modelType === dataset.suggestedModel && <span style={{ fontSize: 10, color: C.teal, marginLeft: 6 }}>suggested</span>}
+                        </td>
+                        <td style={{ padding: "4px 8px" }}>{r.logEvidence.toFixed(1)}</td>
+                        <td style={{ padding: "4px 8px" }}>
+                          <div style={{ display: "flex", alignItems: "center", gap: 6, justifyContent: "flex-end" }}>
+                            <div style={{ width: 80, height: 8, background: C.surface, borderRadius: 2 }}>
+                              <div style={{ width: `${r.posterior * 100}%`, height: 8, background: C.posterior, borderRadius: 2 }} />
+                            </div>
+                            {r.posterior < 0.001 ? "<0.1%" : `${(r.posterior * 100).toFixed(1)}%`}
+                          </div>
+                        </td>
+                        <td style={{ padding: "4px 8px" }}>
+                          {logBF == null || r.modelType === mt ? "—" : Math.abs(logBF) > 20 ? `e^${logBF.toFixed(0)}` : Math.exp(logBF).toPrecision(3)}
+                        </td>
+                        <td style={{ padding: "4px 8px" }}>
+                          {r.modelType !== mt && (
+                            <button onClick={() => { setModelType(r.modelType); initPriors(dataset, r.modelType); setStep(1); }}
+                              style={{ background: "none", border: "none", color: C.teal, cursor: "pointer", fontSize: 12, fontFamily: FONT, fontWeight: 600 }}>
+                              Use →
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              {(() => {
+                const [top, second] = [...comparison].sort((a, b) => b.posterior - a.posterior);
+                return second && (
+                  <div style={{ fontSize: 12, color: C.textSoft, marginTop: 12 }}>
+                    Most probable: <Em>{MODEL_TYPES[top.modelType].name}</Em>. Bayes factor over the runner-up ({MODEL_TYPES[second.modelType].name}):{" "}
+                    {(top.logEvidence - second.logEvidence) > 20 ? `e^${(top.logEvidence - second.logEvidence).toFixed(0)}` : Math.exp(top.logEvidence - second.logEvidence).toPrecision(3)}
+                    {" "}— {bayesFactorStrength(top.logEvidence - second.logEvidence).toLowerCase()} evidence.
+                  </div>
+                );
+              })()}
+              <div style={{ fontSize: 11, color: C.textDim, marginTop: 8 }}>
+                Bayes factors depend on how vague the priors are: a very diffuse prior penalises every extra parameter. The selected
+                model uses your priors; the other families use their defaults with your noise prior (degree-day families, whose noise is per day, keep their own).
+              </div>
+            </>
           )}
         </Card>
 
@@ -728,19 +2260,51 @@ export default function BayesianWorkbench({ onBack }) {
 
   const renderPredictive = () => {
     if (!computed) return null;
+    // Degree-day fans are for an average-length month; rescale the bills to match
+    const dd = isDegreeDayModel(computed.modelType);
+    const days = periodDays(dataset.data, dataset.interval);
+    // With regimes (or TOWT's time-of-week bins), show the chosen fan against its own periods only
+    const regime = Math.min(fanRegime, computed.fans.length - 1);
+    const fan = computed.fans[regime];
+    const scatterData = (dd
+      ? dataset.data.map((d, i) => ({ ...d, energy: d.energy * AVG_MONTH_DAYS / days[i] }))
+      : dataset.data
+    ).filter((_, i) => !computed.fanTags || computed.fanTags[i] === fan.index);
     return (
       <>
         <Label color={C.amber}>Step 4 · Posterior Predictive</Label>
         <h2 style={{ fontSize: 24, color: C.white, margin: "0 0 8px", fontWeight: 700 }}>The Counterfactual Envelope</h2>
         <P>The fan shows what the model predicts at each temperature, with uncertainty bands. Darker bands = more probable. The Bayesian bands incorporate <Em>both parameter uncertainty and noise</Em> — they're wider when priors are vague, narrower when informative.</P>
+        <P style={{ fontSize: 13 }}>
+          Averaging over change points mixes the fans of every plausible change point, weighted by its posterior probability — the
+          bands widen near the knee where the change point is uncertain. The MAP view plugs in the single most probable change point.
+        </P>
+        {computed.modelType === "TOWT" && (
+          <P style={{ fontSize: 13 }}>
+            The time-of-week model has a different fan for every {dataset.interval === "hourly" ? "hour" : "day"} of the week; pick one of
+            the bins below to see its fan against the periods that fell in it.
+          </P>
+        )}
+        {computed.covariates.length > 0 && (
+          <P style={{ fontSize: 13 }}>
+            The fan and OLS line hold {computed.covariates.join(", ")} at {computed.covariates.length > 1 ? "their" : "its"} baseline
+            mean, so observed points scatter around it by their own values of {computed.covariates.length > 1 ? "those variables" : "that variable"} as well as by noise.
+          </P>
+        )}
+        <div style={{ display: "flex", gap: 12, flexWrap: "wrap", marginBottom: 16 }}>
+          <ToggleGroup options={AVERAGING_OPTIONS} value={averaging} onChange={setAveraging} />
+          {computed.fans.length > 1 && (
+            <ToggleGroup options={computed.fans.map((f, k) => [k, f.label])} value={regime} onChange={setFanRegime} />
+          )}
+        </div>
 
         <Card>
           <FanChart
-            fanData={computed.fan}
-            scatterData={dataset.data}
-            olsLine={computed.olsLine}
+            fanData={fan[averaging]}
+            scatterData={scatterData}
+            olsLine={fan.olsLine}
             xLabel="Temperature (°F)"
-            yLabel={`Energy (${dataset.unit})`}
+            yLabel={dd ? `Energy per ${AVG_MONTH_DAYS.toFixed(1)}-day month (${dataset.unit})` : `Energy (${dataset.unit})`}
             width={700}
             height={400}
           />
@@ -775,14 +2339,43 @@ export default function BayesianWorkbench({ onBack }) {
   };
 
   const renderSavings = () => {
-    if (!computed || !computed.savingsPost) return null;
-    const { savingsPost, reportingData } = computed;
+    if (!computed) return null;
+    if (!computed.savings.bma) return (
+      <>
+        <Label color={C.rose}>Step 5 · Savings Distribution</Label>
+        <h2 style={{ fontSize: 24, color: C.white, margin: "0 0 8px", fontWeight: 700 }}>No Reporting Data Yet</h2>
+        <P>Savings need reporting-period consumption to compare against the counterfactual. Add at least one valid reporting period on the Scenario step, or switch to the demo year.</P>
+        <div style={{ display: "flex", justifyContent: "space-between", marginTop: 16 }}>
+          <Btn secondary onClick={() => setStep(3)}>← Predictive</Btn>
+          <Btn onClick={() => setStep(0)}>Enter reporting data</Btn>
+        </div>
+      </>
+    );
+    const { reportingData, reportingMode: mode } = computed;
+    const pick = sp => (savingsView === "realized" ? sp.realized : sp);
+    const savingsPost = pick(computed.savings[averaging]);
     const totalActual = reportingData.reduce((s, d) => s + d.actual, 0);
-    const pctSavings = (savingsPost.mean / (totalActual + savingsPost.mean)) * 100;
-    const pctCI = [
-      (savingsPost.ci95[0] / (totalActual + savingsPost.ci95[0])) * 100,
-      (savingsPost.ci95[1] / (totalActual + savingsPost.ci95[1])) * 100,
-    ];
+    // Percent savings come from their own per-draw posterior, not from converting the absolute interval;
+    // they are undefined when the counterfactual may not be positive, and then only absolute savings are shown
+    const hasFraction = [
+      ...AVERAGING_OPTIONS.flatMap(([key]) => [computed.savings[key], computed.savings[key].realized]),
+      computed.twoModel?.savings, computed.normalized,
+    ].every(sp => !sp || sp.fraction);
+    const inPercent = savingsUnit === "percent" && hasFraction;
+    const inUnit = sp => (inPercent ? asPercent(sp.fraction) : sp);
+    const absolute = savingsPost, percent = savingsPost.fraction && asPercent(savingsPost.fraction);
+    const [shown, other] = inPercent ? [percent, absolute] : [absolute, percent];
+    const fmtAbs = v => v.toLocaleString(undefined, { maximumFractionDigits: 0 });
+    const fmtPct = v => `${v.toFixed(1)}%`;
+    const [fmtShown, fmtOther] = inPercent ? [fmtPct, fmtAbs] : [fmtAbs, fmtPct];
+    const shownUnit = inPercent ? "%" : dataset.unit;
+    const otherUnit = inPercent ? ` ${dataset.unit}` : " of counterfactual";
+    const { mcse } = shown;
+    const fmtMC = v => v.toLocaleString(undefined, { maximumSignificantDigits: 2 }) + (inPercent ? " pts" : "");
+    const pctOf = sv => (sv / (totalActual + sv)) * 100;
+    const targetSavings = target.unit === "percent" ? savingsForFraction(target.value / 100, totalActual) : target.value;
+    const guaranteed = guaranteedSavings(savingsPost, targetConfidence);
+    const mcNote = text => <div style={{ fontSize: 11, color: C.textDim, fontFamily: MONO, marginTop: 4 }}>{text}</div>;
 
     return (
       <>
@@ -790,16 +2383,37 @@ export default function BayesianWorkbench({ onBack }) {
         <h2 style={{ fontSize: 24, color: C.white, margin: "0 0 8px", fontWeight: 700 }}>Savings as a Full Distribution</h2>
         <P>Frequentist M&V gives you <Em>"12% savings ± 3% at 95% confidence"</Em>. Bayesian M&V gives you <Em>the entire probability distribution of savings</Em> — you can read off any credible interval, compute the probability savings exceed a threshold, or report the full posterior to your client.</P>
 
+        <div style={{
+          fontSize: 12, fontFamily: MONO, marginBottom: 16, padding: "8px 12px", borderRadius: 6,
+          background: mode === "demo" ? C.amberDim : C.blueDim, color: mode === "demo" ? C.amber : C.posterior,
+        }}>
+          {mode === "demo"
+            ? `Demo mode — synthetic reporting ${isIntervalData(dataset) ? "period (the baseline replayed)" : "year"} with ${DEMO_SAVINGS_PCT}% savings built in. Not a real project result.`
+            : `Reporting data — ${reportingData.length} period${reportingData.length === 1 ? "" : "s"}, ${totalActual.toLocaleString()} ${dataset.unit} actual consumption.`}
+          {computed.savings.bma.adjustment && " Savings include non-routine adjustments (see Non-Routine Events)."}
+        </div>
+
+        <div style={{ display: "flex", gap: 16, flexWrap: "wrap", marginBottom: 16 }}>
+          <ToggleGroup options={AVERAGING_OPTIONS} value={averaging} onChange={setAveraging} />
+          <ToggleGroup options={SAVINGS_VIEWS} value={savingsView} onChange={setSavingsView} />
+          <ToggleGroup options={SAVINGS_UNITS} value={savingsUnit} onChange={setSavingsUnit} />
+        </div>
+        {savingsUnit === "percent" && !hasFraction && (
+          <div style={{ fontSize: 12, color: C.rose, marginBottom: 16 }}>
+            Percent savings are undefined here: the posterior puts weight on a counterfactual of zero or less, so savings are shown in {dataset.unit}.
+          </div>
+        )}
+
         <Card>
           <HistogramChart
-            bins={savingsPost.bins}
-            ci95={savingsPost.ci95}
-            ci80={savingsPost.ci80}
-            mean={savingsPost.mean}
-            median={savingsPost.median}
+            bins={shown.bins}
+            ci95={shown.ci95}
+            ci80={shown.ci80}
+            mean={shown.mean}
+            median={shown.median}
             width={600}
             height={240}
-            unit={dataset.unit}
+            unit={shownUnit}
           />
         </Card>
 
@@ -807,26 +2421,514 @@ export default function BayesianWorkbench({ onBack }) {
           <Card style={{ textAlign: "center" }}>
             <div style={{ fontSize: 11, color: C.textDim, textTransform: "uppercase", letterSpacing: 2, marginBottom: 8 }}>Posterior Mean</div>
             <div style={{ fontSize: 28, fontWeight: 700, color: C.posterior, fontFamily: MONO }}>
-              {savingsPost.mean.toLocaleString(undefined, { maximumFractionDigits: 0 })} <span style={{ fontSize: 14 }}>{dataset.unit}</span>
+              {inPercent ? fmtShown(shown.mean) : <>{fmtShown(shown.mean)} <span style={{ fontSize: 14 }}>{dataset.unit}</span></>}
             </div>
-            <div style={{ fontSize: 13, color: C.textSoft }}>≈ {pctSavings.toFixed(1)}% savings</div>
+            {other && <div style={{ fontSize: 13, color: C.textSoft }}>{fmtOther(other.mean)}{otherUnit}</div>}
+            {mcse && mcNote(`MC error ± ${fmtMC(mcse.mean)}`)}
           </Card>
           <Card style={{ textAlign: "center" }}>
             <div style={{ fontSize: 11, color: C.textDim, textTransform: "uppercase", letterSpacing: 2, marginBottom: 8 }}>95% Credible Interval</div>
             <div style={{ fontSize: 20, fontWeight: 700, color: C.text, fontFamily: MONO }}>
-              [{savingsPost.ci95[0].toLocaleString(undefined, { maximumFractionDigits: 0 })}, {savingsPost.ci95[1].toLocaleString(undefined, { maximumFractionDigits: 0 })}]
+              [{fmtShown(shown.ci95[0])}, {fmtShown(shown.ci95[1])}]
             </div>
-            <div style={{ fontSize: 13, color: C.textSoft }}>[{pctCI[0].toFixed(1)}%, {pctCI[1].toFixed(1)}%]</div>
+            {other && <div style={{ fontSize: 13, color: C.textSoft }}>[{fmtOther(other.ci95[0])}, {fmtOther(other.ci95[1])}]{otherUnit}</div>}
+            {mcse && mcNote(`MC error ± ${fmtMC(mcse.ci95[0])}, ± ${fmtMC(mcse.ci95[1])}`)}
           </Card>
           <Card style={{ textAlign: "center" }}>
             <div style={{ fontSize: 11, color: C.textDim, textTransform: "uppercase", letterSpacing: 2, marginBottom: 8 }}>P(savings &gt; 0)</div>
             <div style={{ fontSize: 28, fontWeight: 700, color: savingsPost.mean > 0 ? "#2d7d46" : C.ols, fontFamily: MONO }}>
-              {((savingsPost.samples.filter(s => s > 0).length / savingsPost.samples.length) * 100).toFixed(1)}%
+              {(savingsPost.probPositive * 100).toFixed(1)}%
             </div>
             <div style={{ fontSize: 13, color: C.textSoft }}>Probability of real savings</div>
+            {mcse && mcNote(`MC error ± ${(mcse.probPositive * 100).toFixed(2)} pts`)}
           </Card>
         </div>
 
+        <Card>
+          <Label>Savings Target</Label>
+          <P style={{ fontSize: 13 }}>
+            Performance contracts guarantee a savings level. Enter the target — as a share of the counterfactual (what the
+            building would have used) or in {dataset.unit} — to read off the probability it is met, and pick the confidence the
+            contract asks for to see the largest savings you can guarantee at it.
+          </P>
+          <div style={{ display: "flex", alignItems: "center", gap: 12, flexWrap: "wrap", marginBottom: 16 }}>
+            <label style={{ fontSize: 13, fontWeight: 600, color: C.text, fontFamily: FONT }}>
+              Target{" "}
+              <input type="number" step={target.unit === "percent" ? 1 : "any"} min={target.unit === "percent" ? 0 : undefined}
+                max={target.unit === "percent" ? 99 : undefined} value={target.value}
+                style={{ ...inputStyle, fontFamily: MONO, width: 110 }}
+                onChange={e => {
+                  const v = Number(e.target.value);
+                  if (e.target.value !== "" && Number.isFinite(v) && (target.unit !== "percent" || (v >= 0 && v < 100))) setTarget({ ...target, value: v });
+                }} />
+            </label>
+            <ToggleGroup options={[["percent", "% of counterfactual"], ["energy", dataset.unit]]} value={target.unit}
+              onChange={u => u !== target.unit && setTarget({
+                unit: u,
+                value: Math.round(u === "percent" ? Math.min(99, Math.max(0, pctOf(target.value))) : targetSavings),
+              })} />
+          </div>
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 16, marginBottom: 12 }}>
+            <div>
+              <div style={{ fontSize: 11, color: C.textDim, textTransform: "uppercase", letterSpacing: 2, marginBottom: 4 }}>
+                P(savings &gt; {target.unit === "percent" ? `${target.value}%` : `${target.value.toLocaleString()} ${dataset.unit}`})
+              </div>
+              <div style={{ fontSize: 28, fontWeight: 700, color: C.posterior, fontFamily: MONO }}>
+                {(savingsExceedance(savingsPost, targetSavings) * 100).toFixed(1)}%
+              </div>
+              <div style={{ fontSize: 13, color: C.textSoft }}>
+                {target.unit === "percent"
+                  ? `i.e. savings above ${targetSavings.toLocaleString(undefined, { maximumFractionDigits: 0 })} ${dataset.unit}`
+                  : `i.e. above ${pctOf(targetSavings).toFixed(1)}% of the counterfactual`}
+              </div>
+            </div>
+            <div>
+              <div style={{ fontSize: 11, color: C.textDim, textTransform: "uppercase", letterSpacing: 2, marginBottom: 4 }}>
+                Guaranteed at {(targetConfidence * 100).toFixed(0)}% confidence
+              </div>
+              <div style={{ fontSize: 28, fontWeight: 700, color: C.amber, fontFamily: MONO }}>
+                {guaranteed.toLocaleString(undefined, { maximumFractionDigits: 0 })} <span style={{ fontSize: 14 }}>{dataset.unit}</span>
+              </div>
+              <div style={{ fontSize: 13, color: C.textSoft }}>≈ {pctOf(guaranteed).toFixed(1)}% of the counterfactual</div>
+            </div>
+          </div>
+          <PriorSlider label="Contract confidence" value={targetConfidence} min={0.5} max={0.99} step={0.01}
+            onChange={setTargetConfidence}
+            description="Savings are at least the guaranteed level with this probability."
+            format={v => `${(v * 100).toFixed(0)}%`} />
+          <ExceedanceChart
+            curve={exceedanceCurve(savingsPost)}
+            target={targetSavings}
+            confidence={targetConfidence}
+            guaranteed={guaranteed}
+            width={600}
+            height={220}
+            unit={dataset.unit}
+          />
+        </Card>
+
+        {computed.timeline && (() => {
+          const targetFraction = target.unit === "percent" ? target.value / 100 : targetSavings / (totalActual + targetSavings);
+          const points = computed.timeline.map(e => ({
+            month: e.month,
+            savings: pick(e.savings),
+            p: savingsExceedance(pick(e.savings), savingsForFraction(targetFraction, e.actualTotal)),
+            pTwo: e.twoModel?.fraction ? savingsExceedance(e.twoModel.fraction, targetFraction) : null,
+          }));
+          const frame = timelineFrame == null ? points.length - 1 : Math.min(timelineFrame, points.length - 1);
+          const firstAt = key => {
+            const i = points.findIndex(pt => pt[key] != null && pt[key] >= targetConfidence);
+            return i < 0 ? null : i;
+          };
+          const crossing = firstAt("p"), crossingTwo = firstAt("pTwo");
+          const current = points[frame];
+          const targetLabel = `${(targetFraction * 100).toFixed(1)}%`;
+          const confidenceLabel = `${(targetConfidence * 100).toFixed(0)}%`;
+          const reached = (i, what) => (i == null
+            ? `${what} has not reached ${confidenceLabel} by ${points[points.length - 1].month}.`
+            : `${what} first reaches ${confidenceLabel} in ${points[i].month} (month ${i + 1}).`);
+          return (
+            <Card>
+              <Label>Savings Timeline</Label>
+              <P style={{ fontSize: 13 }}>
+                Replay the reporting period as the bills arrived: after each month, the probability that savings so far beat the
+                target ({targetLabel} of the counterfactual{target.unit === "percent" ? "" : `, from the ${target.value.toLocaleString()} ${dataset.unit} target`}),
+                and the month that probability first reaches the contract confidence.
+                {points.some(pt => pt.pTwo != null) && " The dashed line updates the reporting-period model one bill at a time — each month's posterior is the next month's prior."}
+              </P>
+              <div style={{ display: "flex", alignItems: "center", gap: 12, marginBottom: 12 }}>
+                <Btn secondary onClick={() => setTimelineFrame(0)}>▶ Play</Btn>
+                <input type="range" min={0} max={points.length - 1} step={1} value={frame} style={{ flex: 1, accentColor: C.teal }}
+                  onChange={e => setTimelineFrame(Number(e.target.value) === points.length - 1 ? null : Number(e.target.value))} />
+                <span style={{ fontSize: 13, fontFamily: MONO, color: C.text, minWidth: 70 }}>{current.month}</span>
+              </div>
+              <TimelineChart points={points} frame={frame} confidence={targetConfidence} crossing={crossing} width={600} height={220} />
+              <div style={{ fontSize: 13, color: C.text, fontFamily: MONO, marginTop: 8 }}>
+                Through {current.month}: savings {fmtAbs(current.savings.mean)} [{fmtAbs(current.savings.ci95[0])}, {fmtAbs(current.savings.ci95[1])}] {dataset.unit}
+                {" "}· P(savings &gt; {targetLabel}) = {(current.p * 100).toFixed(1)}%
+                {current.pTwo != null && ` · two-model ${(current.pTwo * 100).toFixed(1)}%`}
+              </div>
+              <div style={{ fontSize: 12, color: C.textSoft, marginTop: 8 }}>
+                {reached(crossing, `P(savings > ${targetLabel}) against actual use`)}
+                {points.some(pt => pt.pTwo != null) && <> {reached(crossingTwo, "The two-model probability")}</>}
+              </div>
+            </Card>
+          );
+        })()}
+
+        <Card>
+          <Label>Expected vs. Realized Savings</Label>
+          <P style={{ fontSize: 13 }}>
+            <Em>Expected savings</Em> compare actual use with the counterfactual <Em>mean</Em> — only parameter uncertainty enters.
+            <Em> Realized savings</Em> also add the period-to-period noise the baseline model says the meter would have shown anyway,
+            i.e. draws from the full posterior predictive. Say which one you are quoting: IPMVP reviewers will ask.
+          </P>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13, fontFamily: MONO, marginBottom: 16 }}>
+            <thead>
+              <tr style={{ color: C.textDim, textAlign: "right" }}>
+                <th style={{ textAlign: "left", padding: "4px 8px", fontWeight: 600, fontFamily: FONT }}>Savings posterior</th>
+                <th style={{ padding: "4px 8px", fontWeight: 600 }}>Mean</th>
+                <th style={{ padding: "4px 8px", fontWeight: 600 }}>95% CI</th>
+                <th style={{ padding: "4px 8px", fontWeight: 600 }}>CI width</th>
+              </tr>
+            </thead>
+            <tbody>
+              {SAVINGS_VIEWS.map(([key, label]) => {
+                const sp = inUnit(key === "realized" ? computed.savings[averaging].realized : computed.savings[averaging]);
+                const fmt = fmtShown;
+                return (
+                  <tr key={key} style={{ textAlign: "right", color: key === savingsView ? C.posterior : C.text, fontWeight: key === savingsView ? 700 : 400 }}>
+                    <td style={{ textAlign: "left", padding: "4px 8px", fontFamily: FONT }}>{label}</td>
+                    <td style={{ padding: "4px 8px" }}>{fmt(sp.mean)}</td>
+                    <td style={{ padding: "4px 8px" }}>[{fmt(sp.ci95[0])}, {fmt(sp.ci95[1])}]</td>
+                    <td style={{ padding: "4px 8px" }}>{fmt(sp.ci95[1] - sp.ci95[0])}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {computed.rhoSummary ? (
+            <div style={{ fontSize: 12, color: C.textSoft, fontFamily: FONT }}>
+              Realized savings use the fitted AR(1) error model (posterior mean ρ = {computed.rhoSummary.mean.toFixed(2)}):
+              correlated errors don't cancel across periods, so the realized interval is wider than independent errors would give.
+            </div>
+          ) : (
+            <PriorSlider label="Error correlation between periods (ρ)" value={noiseRho} min={0} max={0.9} step={0.05}
+              onChange={setNoiseRho}
+              description="Realized savings only. Correlated errors don't cancel across periods, so the realized interval widens as ρ grows."
+              format={v => v.toFixed(2)} />
+          )}
+        </Card>
+
+        <Card>
+          <Label>Change-Point Uncertainty</Label>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13, fontFamily: MONO }}>
+            <thead>
+              <tr style={{ color: C.textDim, textAlign: "right" }}>
+                <th style={{ textAlign: "left", padding: "4px 8px", fontWeight: 600, fontFamily: FONT }}>Savings posterior</th>
+                <th style={{ padding: "4px 8px", fontWeight: 600 }}>Mean</th>
+                <th style={{ padding: "4px 8px", fontWeight: 600 }}>95% CI</th>
+                <th style={{ padding: "4px 8px", fontWeight: 600 }}>CI width</th>
+              </tr>
+            </thead>
+            <tbody>
+              {AVERAGING_OPTIONS.map(([key, label]) => {
+                const sp = inUnit(pick(computed.savings[key]));
+                const fmt = fmtShown;
+                return (
+                  <tr key={key} style={{ textAlign: "right", color: key === averaging ? C.posterior : C.text, fontWeight: key === averaging ? 700 : 400 }}>
+                    <td style={{ textAlign: "left", padding: "4px 8px", fontFamily: FONT }}>{label}</td>
+                    <td style={{ padding: "4px 8px" }}>{fmt(sp.mean)}</td>
+                    <td style={{ padding: "4px 8px" }}>[{fmt(sp.ci95[0])}, {fmt(sp.ci95[1])}]</td>
+                    <td style={{ padding: "4px 8px" }}>{fmt(sp.ci95[1] - sp.ci95[0])}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <div style={{ fontSize: 12, color: C.textSoft, marginTop: 8 }}>
+            The MAP-only interval treats the change point as known. Averaging carries its posterior uncertainty into the savings estimate.
+          </div>
+        </Card>
+
+        {(() => {
+          const { scores, levelShift: ls } = computed.events ?? { scores: [], levelShift: null };
+          const flagged = scores.filter(sc => sc.outlier).length;
+          const indexed = scores.map((sc, i) => ({ ...sc, i }));
+          const listed = scores.length <= 36 ? indexed : [...indexed].sort((a, b) => a.tailProb - b.tailProb).slice(0, 12).sort((a, b) => a.i - b.i);
+          const fmtTail = v => (v < 0.001 ? "< 0.001" : v.toFixed(3));
+          const setAdjustment = (k, field, value) => setAdjustments(adjustments.map((a, j) => (j === k ? { ...a, [field]: value } : a)));
+          const addAdjustment = entry => setAdjustments([...adjustments, entry]);
+          const removeAdjustment = k => setAdjustments(adjustments.filter((_, j) => j !== k));
+          const net = computed.savings.bma.adjustment;
+          return (
+            <Card>
+              <Label>Non-Routine Events</Label>
+              <P style={{ fontSize: 13 }}>
+                Added floor area, new equipment or a closure change the load in ways the baseline never saw, and the savings
+                quietly absorb them. Each reporting period is checked against the baseline's posterior predictive: its
+                <Em> tail probability</Em> is the chance of a reading at least this far from the prediction, either way, if the
+                baseline still described the building. The measure itself pulls periods below the prediction, so look for
+                periods that stand out from the rest — and for a step, which the level-shift test below looks for.
+              </P>
+              {!computed.events ? (
+                <div style={{ fontSize: 12, color: C.textSoft }}>
+                  Screening is for monthly bills: against interval data every hour or day would be scored on its own. Adjustments
+                  for events you know of can still be recorded below.
+                </div>
+              ) : (
+                <>
+                  <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13, fontFamily: MONO }}>
+                    <thead>
+                      <tr style={{ color: C.textDim, textAlign: "right" }}>
+                        <th style={{ textAlign: "left", padding: "4px 8px", fontWeight: 600, fontFamily: FONT }}>Period</th>
+                        <th style={{ padding: "4px 8px", fontWeight: 600 }}>Actual</th>
+                        <th style={{ padding: "4px 8px", fontWeight: 600 }}>Predicted</th>
+                        <th style={{ padding: "4px 8px", fontWeight: 600 }}>Residual</th>
+                        <th style={{ padding: "4px 8px", fontWeight: 600 }}>Tail prob.</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {listed.map(sc => (
+                        <tr key={sc.i} style={{ textAlign: "right", color: sc.outlier ? C.rose : C.text, fontWeight: sc.outlier ? 700 : 400 }}>
+                          <td style={{ textAlign: "left", padding: "4px 8px", fontFamily: FONT }}>{reportingData[sc.i].month ?? `Period ${sc.i + 1}`}</td>
+                          <td style={{ padding: "4px 8px" }}>{fmtAbs(reportingData[sc.i].actual)}</td>
+                          <td style={{ padding: "4px 8px" }}>{fmtAbs(sc.mean)} ± {fmtAbs(sc.sd)}</td>
+                          <td style={{ padding: "4px 8px" }}>{sc.residual > 0 ? "+" : ""}{fmtAbs(sc.residual)}</td>
+                          <td style={{ padding: "4px 8px" }}>{fmtTail(sc.tailProb)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <div style={{ fontSize: 12, color: C.textSoft, marginTop: 8 }}>
+                    {flagged} of {scores.length} periods have a tail probability below 0.05 (highlighted).
+                    {listed.length < scores.length && ` The ${listed.length} least probable periods are listed.`}
+                    {" "}Predictions are averaged over change points, ± one predictive SD.
+                  </div>
+
+                  <div style={{ fontSize: 13, fontWeight: 600, color: C.text, margin: "16px 0 4px" }}>Level shift</div>
+                  {!ls ? (
+                    <div style={{ fontSize: 12, color: C.textSoft }}>The level-shift test needs at least three reporting periods.</div>
+                  ) : (
+                    <>
+                      <div style={{ fontSize: 13, color: C.text, fontFamily: MONO }}>
+                        P(level shift) = {(ls.probShift * 100).toFixed(1)}% — {bayesFactorStrength(Math.abs(ls.logBF)).toLowerCase()} evidence
+                        {ls.logBF >= 0 ? " for" : " against"} a shift. Most probable start: {reportingData[ls.start].month ?? `period ${ls.start + 1}`},
+                        {" "}{ls.shift.mean > 0 ? "+" : ""}{fmtAbs(ls.shift.mean)} [{fmtAbs(ls.shift.ci95[0])}, {fmtAbs(ls.shift.ci95[1])}] {dataset.unit} per period
+                        {" "}over the last {ls.nAfter} period{ls.nAfter === 1 ? "" : "s"}.
+                      </div>
+                      <div style={{ fontSize: 12, color: C.textSoft, margin: "8px 0" }}>
+                        Half the prior is on no shift, half spread over every start. A constant saving and one in proportion to the
+                        load are allowed for either way, so only a step part-way through the reporting period counts.
+                      </div>
+                      <Btn secondary onClick={() => addAdjustment({
+                        label: `Level shift from ${reportingData[ls.start].month ?? `period ${ls.start + 1}`}`,
+                        mean: String(Math.round(ls.shift.mean * ls.nAfter)),
+                        sd: String(Math.round(ls.shift.sd * ls.nAfter)),
+                      })}>Adjust for this shift</Btn>
+                    </>
+                  )}
+                </>
+              )}
+
+              <div style={{ fontSize: 13, fontWeight: 600, color: C.text, margin: "16px 0 4px" }}>Non-routine adjustments</div>
+              <div style={{ fontSize: 12, color: C.textSoft, marginBottom: 8 }}>
+                Energy over the whole reporting period added to the counterfactual — positive for load the baseline doesn't know
+                about — with its own uncertainty as a standard deviation. Each adjustment is drawn with every savings draw, so
+                its uncertainty widens the savings interval; an uncertain one is always drawn, even in closed form.
+              </div>
+              {adjustments.map((a, k) => (
+                <div key={k} style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 8 }}>
+                  <input type="text" value={a.label} placeholder="Description" style={{ ...inputStyle, flex: 2 }}
+                    onChange={e => setAdjustment(k, "label", e.target.value)} />
+                  <input type="number" step="any" value={a.mean} placeholder={`Amount (${dataset.unit})`} style={{ ...inputStyle, fontFamily: MONO, flex: 1 }}
+                    onChange={e => setAdjustment(k, "mean", e.target.value)} />
+                  <input type="number" step="any" min={0} value={a.sd} placeholder="SD" style={{ ...inputStyle, fontFamily: MONO, flex: 1 }}
+                    onChange={e => setAdjustment(k, "sd", e.target.value)} />
+                  <Btn secondary onClick={() => removeAdjustment(k)}>Remove</Btn>
+                </div>
+              ))}
+              <Btn secondary onClick={() => addAdjustment({ label: "", mean: "", sd: "" })}>Add adjustment</Btn>
+              {net && (
+                <div style={{ fontSize: 12, color: C.textSoft, fontFamily: MONO, marginTop: 8 }}>
+                  Net adjustment {net.mean > 0 ? "+" : ""}{fmtAbs(net.mean)} ± {fmtAbs(net.sd)} {dataset.unit} from {net.count} entr{net.count === 1 ? "y" : "ies"},
+                  included in the savings distribution above.
+                </div>
+              )}
+            </Card>
+          );
+        })()}
+
+        <Card>
+          <Label>Baseline vs. Reporting-Period Model</Label>
+          <P style={{ fontSize: 13 }}>
+            Fit the same model to the reporting period and savings become the difference of two posteriors: what the baseline
+            model predicts for the reporting weather minus what the reporting model predicts. Comparing the two models'
+            coefficients shows <Em>which</Em> part of the load changed — a lower baseload, a flatter heating slope, a shifted
+            balance point — which is what ties the savings to a measure.
+          </P>
+          {!supportsReportingModel(computed.modelType) ? (
+            <div style={{ fontSize: 12, color: C.textSoft }}>Not available for the time-of-week model, which would shift one intercept per time-of-week bin.</div>
+          ) : (
+            <>
+              <ToggleGroup options={[["off", "Off"], ["on", "Fit a reporting-period model"]]} value={twoModel ? "on" : "off"}
+                onChange={v => setTwoModel(v === "on")} />
+              {twoModel && fresh && !computed.twoModel && (
+                <div style={{ fontSize: 12, color: C.rose, marginTop: 8 }}>
+                  Too few reporting periods to fit a reporting-period model: it needs at least two more periods than it has coefficients.
+                </div>
+              )}
+              {twoModel && fresh && computed.twoModel && (() => {
+                const { savings: tm, shifts } = computed.twoModel;
+                const tmShown = inUnit(tm);
+                const shape = modelShape(computed.modelType);
+                const dd = isDegreeDayModel(computed.modelType);
+                const fmtShift = v => v.toLocaleString(undefined, { maximumFractionDigits: Math.abs(v) >= 100 ? 0 : 2 });
+                const rows = [
+                  ...shownParamNames(computed).map((name, i) => [name, shifts.coefficients[computed.paramIndices[i]]]),
+                  ...(shifts.cp ? [[shape === "5P" ? "Heating change point" : dd ? "Base temperature" : "Change point", shifts.cp]] : []),
+                  ...(shifts.cp2 ? [[dd ? "Cooling base temperature" : "Cooling change point", shifts.cp2]] : []),
+                ];
+                return (
+                  <div style={{ marginTop: 16 }}>
+                    <HistogramChart bins={tmShown.bins} ci95={tmShown.ci95} ci80={tmShown.ci80} mean={tmShown.mean} median={tmShown.median}
+                      width={600} height={200} unit={shownUnit} />
+                    <div style={{ fontSize: 13, color: C.text, fontFamily: MONO, margin: "8px 0 16px" }}>
+                      Two-model savings {fmtShown(tmShown.mean)} [{fmtShown(tmShown.ci95[0])}, {fmtShown(tmShown.ci95[1])}]
+                      {" "}· against actual use {fmtShown(shown.mean)} [{fmtShown(shown.ci95[0])}, {fmtShown(shown.ci95[1])}]
+                    </div>
+                    <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13, fontFamily: MONO }}>
+                      <thead>
+                        <tr style={{ color: C.textDim, textAlign: "right" }}>
+                          <th style={{ textAlign: "left", padding: "4px 8px", fontWeight: 600, fontFamily: FONT }}>Parameter</th>
+                          <th style={{ padding: "4px 8px", fontWeight: 600 }}>Baseline</th>
+                          <th style={{ padding: "4px 8px", fontWeight: 600 }}>Reporting</th>
+                          <th style={{ padding: "4px 8px", fontWeight: 600 }}>Shift</th>
+                          <th style={{ padding: "4px 8px", fontWeight: 600 }}>95% CI</th>
+                          <th style={{ padding: "4px 8px", fontWeight: 600 }}>P(shift &lt; 0)</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {rows.map(([name, { baseline, reporting, shift }]) => (
+                          <tr key={name} style={{ textAlign: "right", color: shift.ci95[1] < 0 || shift.ci95[0] > 0 ? C.posterior : C.text }}>
+                            <td style={{ textAlign: "left", padding: "4px 8px", fontFamily: FONT }}>{name}</td>
+                            <td style={{ padding: "4px 8px" }}>{fmtShift(baseline)}</td>
+                            <td style={{ padding: "4px 8px" }}>{fmtShift(reporting)}</td>
+                            <td style={{ padding: "4px 8px" }}>{shift.mean > 0 ? "+" : ""}{fmtShift(shift.mean)}</td>
+                            <td style={{ padding: "4px 8px" }}>[{fmtShift(shift.ci95[0])}, {fmtShift(shift.ci95[1])}]</td>
+                            <td style={{ padding: "4px 8px" }}>{((1 - shift.probPositive) * 100).toFixed(0)}%</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    <div style={{ fontSize: 12, color: C.textSoft, marginTop: 8 }}>
+                      Shifts are reporting − baseline, each model averaged over its own change points; highlighted rows have a 95%
+                      interval that excludes no change. The reporting model uses default priors on {reportingData.length} periods.
+                    </div>
+                  </div>
+                );
+              })()}
+            </>
+          )}
+        </Card>
+
+        <Card>
+          <Label>Weather-Normalized Savings</Label>
+          <P style={{ fontSize: 13 }}>
+            The savings above are for the reporting period's own weather, so a mild or a harsh year moves them. Normalized
+            savings fit a second model to the reporting period, then let <Em>both</Em> models predict a standard year — typical
+            or 30-year normal temperatures — and take the difference (IPMVP Option C, normalized conditions). The two posteriors
+            are independent, so the result is their difference drawn by draw.
+          </P>
+          {!supportsNormalized(dataset, computed.modelType) ? (
+            <div style={{ fontSize: 12, color: C.textSoft }}>Normalized savings need monthly bills and a temperature model; this dataset or model is not one.</div>
+          ) : (
+            <>
+              <ToggleGroup value={normalsSource} onChange={setNormalsSource}
+                options={[
+                  ["off", "Off"],
+                  ...(dataset.normals ? [["location", "Location normals"]] : []),
+                  ["baseline", "Baseline monthly means"],
+                  ["custom", "Enter normals"],
+                ]} />
+              {normalsSource === "custom" && (
+                <div style={{ display: "grid", gridTemplateColumns: "repeat(6, 1fr)", gap: 8, marginTop: 12 }}>
+                  {MONTH_NAMES.map((name, i) => (
+                    <label key={name} style={{ fontSize: 12, color: C.textSoft, fontFamily: FONT }}>
+                      {name}
+                      <input type="number" step="any" value={customNormals[i]} placeholder="°F"
+                        style={{ ...inputStyle, fontFamily: MONO, width: "100%", boxSizing: "border-box" }}
+                        onChange={e => setCustomNormals(customNormals.map((v, k) => (k === i ? e.target.value : v)))} />
+                    </label>
+                  ))}
+                </div>
+              )}
+              <div style={{ fontSize: 12, color: C.textSoft, fontFamily: MONO, marginTop: 12 }}>
+                {normalsSource === "off" ? null
+                  : !normals ? (normalsSource === "baseline"
+                    ? "The baseline's period labels don't cover all twelve calendar months."
+                    : normalsSource === "custom" ? "Enter a normal temperature for every month." : "No normals for this location.")
+                  : `Standard year: ${normalsSource === "location" ? dataset.normals.source : normalsSource === "baseline" ? "baseline monthly means" : "entered normals"} — ${normals.map(t => `${t}°`).join(" ")}`}
+              </div>
+              {normals && fresh && !computed.normalized && (
+                <div style={{ fontSize: 12, color: C.rose, marginTop: 8 }}>
+                  Too few reporting periods to fit a reporting-period model: it needs at least two more periods than it has coefficients.
+                </div>
+              )}
+              {normals && fresh && computed.normalized && (() => {
+                const nz = computed.normalized;
+                const nzShown = inUnit(nz);
+                return (
+                  <div style={{ marginTop: 16 }}>
+                    <HistogramChart bins={nzShown.bins} ci95={nzShown.ci95} ci80={nzShown.ci80} mean={nzShown.mean} median={nzShown.median}
+                      width={600} height={200} unit={shownUnit} />
+                    <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13, fontFamily: MONO, marginTop: 12 }}>
+                      <tbody>
+                        {[
+                          ["Normalized annual savings", `${fmtShown(nzShown.mean)} [${fmtShown(nzShown.ci95[0])}, ${fmtShown(nzShown.ci95[1])}]`],
+                          ["P(normalized savings > 0)", `${(nz.probPositive * 100).toFixed(1)}%`],
+                          ["Baseline model, standard year", `${fmtAbs(nz.baselineTotal)} ${dataset.unit}`],
+                          ["Reporting model, standard year", `${fmtAbs(nz.reportingTotal)} ${dataset.unit}`],
+                        ].map(([label, value]) => (
+                          <tr key={label}>
+                            <td style={{ padding: "4px 8px", fontFamily: FONT, color: C.textSoft }}>{label}</td>
+                            <td style={{ padding: "4px 8px", textAlign: "right", color: C.text }}>{value}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    <div style={{ fontSize: 12, color: C.textSoft, marginTop: 8 }}>
+                      The reporting-period model is fitted to {reportingData.length} periods with default priors. Its uncertainty
+                      adds to the baseline's, so normalized intervals are usually wider than the reporting-year ones.
+                    </div>
+                  </div>
+                );
+              })()}
+            </>
+          )}
+        </Card>
+
+        <Card>
+          <Label>Sampling</Label>
+          <P style={{ fontSize: 13 }}>
+            Monte Carlo figures carry their own error: run again with another seed and the mean and interval ends move by
+            about the <Em>MC error</Em> shown under them. Adaptive sampling keeps drawing until every MC error is within 1% of
+            the posterior SD. Given σ² integrated out, savings are exactly a Student-t per change point, so the closed form
+            needs no draws at all.
+          </P>
+          <ToggleGroup options={SAMPLING_OPTIONS} value={samplingMethod}
+            onChange={setSamplingMethod} />
+          <div style={{ fontSize: 12, color: C.textSoft, fontFamily: MONO, marginTop: 12 }}>
+            {!mcse
+              ? "Exact Student-t mixture — no draws, no Monte Carlo error."
+              : `${savingsPost.nSamples.toLocaleString()} draws` + (savingsPost.converged === false
+                ? ` — stopped at the cap before every MC error was within ${(savingsPost.tolerance * 100).toFixed(0)}% of the SD.`
+                : savingsPost.converged ? ` — every MC error within ${(savingsPost.tolerance * 100).toFixed(0)}% of the posterior SD.` : ".")}
+          </div>
+        </Card>
+
+        <Card>
+          <Label>Reproducibility</Label>
+          <P style={{ fontSize: 13 }}>
+            Every random draw here — {mode === "demo" ? "the demo actuals and " : ""}the savings draws — comes from one seed.
+            The same data, priors and seed give identical figures, so quote the seed with any number you report. The download
+            keeps it together with the inputs and the results, for an auditor to regenerate them.
+          </P>
+          <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+            <label style={{ fontSize: 13, fontWeight: 600, color: C.text, fontFamily: FONT }}>
+              Seed{" "}
+              <input type="number" min={0} max={4294967295} step={1} value={seed} style={{ ...inputStyle, fontFamily: MONO, width: 130 }}
+                onChange={e => {
+                  const v = Number(e.target.value);
+                  if (e.target.value !== "" && Number.isInteger(v) && v >= 0 && v < 4294967296) setSeed(v);
+                }} />
+            </label>
+            <Btn secondary onClick={() => setSeed(randomSeed())}>New seed</Btn>
+            <Btn secondary onClick={exportResults} disabled={!settled}>Download results (JSON)</Btn>
+          </div>
+          {inference.progress && <div style={{ marginTop: 12 }}><ProgressBar progress={inference.progress} /></div>}
+        </Card>
+
         <Card style={{ background: `linear-gradient(135deg, #2c2418 0%, #3d3529 100%)` }}>
           <div style={{ fontSize: 11, letterSpacing: 3, color: "#d4a76a", fontWeight: 600, textTransform: "uppercase", marginBottom: 12 }}>
             The Bayesian Advantage
@@ -10,19 +10,9 @@
  */
 
 // ──────────────────────────────────────────────────────────────
-// Matrix utilities (small matrices only — max 3×3 for 5P model)
+// Matrix utilities (small dense matrices — 3×3 for 4P/5P, ~175×175 for hourly TOWT)
 // ──────────────────────────────────────────────────────────────
 
-function matMul(A, B) {
-  const m = A.length, n = B[0].length, k = B.length;
-  const C = Array.from({ length: m }, () => Array(n).fill(0));
-  for (let i = 0; i < m; i++)
-    for (let j = 0; j < n; j++)
-      for (let l = 0; l < k; l++)
-        C[i][j] += A[i][l] * B[l][j];
-  return C;
-}
-
 function matVecMul(A, v) {
   return A.map(row => row.reduce((s, a, j) => s + a * v[j], 0));
 }
@@ -31,11 +21,6 @@ function vecDot(a, b) {
   return a.reduce((s, ai, i) => s + ai * b[i], 0);
 }
 
-function matTranspose(A) {
-  const m = A.length, n = A[0].length;
-  return Array.from({ length: n }, (_, j) => Array.from({ length: m }, (_, i) => A[i][j]));
-}
-
 function matAdd(A, B) {
   return A.map((row, i) => row.map((v, j) => v + B[i][j]));
 }
@@ -64,6 +49,7 @@ function matInvert(M) {
   return aug.map(row => row.slice(n));
 }
 
+/** Determinant of a matrix up to 3×3 (larger: matLogAbsDet) */
 function matDet(M) {
   const n = M.length;
   if (n === 1) return M[0][0];
@@ -73,26 +59,52 @@ function matDet(M) {
          - M[0][1] * (M[1][0] * M[2][2] - M[1][2] * M[2][0])
          + M[0][2] * (M[1][0] * M[2][1] - M[1][1] * M[2][0]);
   }
-  // LU decomposition for larger (shouldn't need for M&V)
-  let det = 1;
+  return NaN;
+}
+
+/**
+ * log|det M|. Closed form up to 3×3; beyond that LU with the log-pivots
+ * summed, since the determinant itself overflows for TOWT-sized matrices.
+ */
+function matLogAbsDet(M) {
+  const n = M.length;
+  if (n <= 3) return Math.log(Math.abs(matDet(M)));
+  let logDet = 0;
   const A = M.map(r => [...r]);
   for (let i = 0; i < n; i++) {
     let maxRow = i;
     for (let k = i + 1; k < n; k++)
       if (Math.abs(A[k][i]) > Math.abs(A[maxRow][i])) maxRow = k;
-    if (maxRow !== i) { [A[i], A[maxRow]] = [A[maxRow], A[i]]; det *= -1; }
-    if (Math.abs(A[i][i]) < 1e-14) return 0;
-    det *= A[i][i];
+    if (maxRow !== i) [A[i], A[maxRow]] = [A[maxRow], A[i]];
+    if (Math.abs(A[i][i]) < 1e-14) return -Infinity;
+    logDet += Math.log(Math.abs(A[i][i]));
     for (let k = i + 1; k < n; k++) {
       const f = A[k][i] / A[i][i];
       for (let j = i; j < n; j++) A[k][j] -= f * A[i][j];
     }
   }
-  return det;
+  return logDet;
 }
 
-function identityMatrix(n) {
-  return Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => i === j ? 1 : 0));
+/**
+ * XᵀX and Xᵀy in one pass over the rows, skipping zero entries: TOWT rows
+ * are mostly zero indicator columns, so this costs O(n·k·p) for k non-zeros
+ * per row rather than O(n·p²).
+ */
+function crossProducts(X, y) {
+  const p = X[0].length;
+  const XtX = Array.from({ length: p }, () => Array(p).fill(0));
+  const Xty = Array(p).fill(0);
+  const nz = [];
+  X.forEach((row, i) => {
+    nz.length = 0;
+    for (let j = 0; j < p; j++) if (row[j] !== 0) nz.push(j);
+    for (const j of nz) {
+      Xty[j] += row[j] * y[i];
+      for (const k of nz) XtX[j][k] += row[j] * row[k];
+    }
+  });
+  return { XtX, Xty };
 }
 
 // ──────────────────────────────────────────────────────────────
@@ -208,21 +220,172 @@ function normalPDF(x, mu, sigma) {
 // ──────────────────────────────────────────────────────────────
 
 /**
- * Build the design matrix for a given model type and change-point(s)
+ * Variable-base degree-day families and the change-point shape of their
+ * per-day design row. The base temperature τ plays the change point; with
+ * period-mean temperatures, degree-days per day are approximated by
+ * (τ − T̄)⁺ and (T̄ − τ)⁺.
+ *
+ * They model consumption per day: a period of d days uses
+ *   E = d·x(T̄)ᵀβ + ε,  ε ~ N(0, σ²·d),
+ * so billing periods of unequal length are weighted by their length.
+ * The fit regresses E/√d on √d·x(T̄) — plain conjugate NIG on scaled rows.
+ */
+export const DEGREE_DAY_SHAPES = { HDD: "3PH", CDD: "3PC", HCDD: "5P" };
+
+/** Days assumed for a period of unknown length (average calendar month) */
+export const AVG_MONTH_DAYS = 365.25 / 12;
+
+/** Whether a family has a change point to search over (2P and TOWT don't) */
+export function hasChangePoint(modelType) {
+  return modelType !== "2P" && modelType !== "TOWT";
+}
+
+export function isDegreeDayModel(modelType) {
+  return Object.hasOwn(DEGREE_DAY_SHAPES, modelType);
+}
+
+/** Change-point shape of a model family (degree-day families map to 3PH/3PC/5P) */
+export function modelShape(modelType) {
+  return DEGREE_DAY_SHAPES[modelType] || modelType;
+}
+
+/**
+ * Per-observation scaling for the degree-day fit: √dᵢ for the rows,
+ * Eᵢ/√dᵢ for the response, and the log-Jacobian −½Σlog dᵢ that puts the
+ * marginal likelihood back on the scale of E (so families compare fairly).
  */
-export function buildDesignMatrix(temps, modelType, cp1 = null, cp2 = null) {
-  switch (modelType) {
-    case "3PH":
-      return temps.map(t => [1, Math.max(0, cp1 - t)]);
-    case "3PC":
-      return temps.map(t => [1, Math.max(0, t - cp1)]);
-    case "5P":
-      return temps.map(t => [1, Math.max(0, cp1 - t), Math.max(0, t - cp2)]);
-    default: // 2P
-      return temps.map(t => [1, t]);
+function dayScaling(days, y) {
+  const d = days ?? y.map(() => AVG_MONTH_DAYS);
+  const sqrt = d.map(Math.sqrt);
+  return {
+    days: d,
+    sqrt,
+    y: y.map((v, i) => v / sqrt[i]),
+    logJacobian: -0.5 * d.reduce((s, v) => s + Math.log(v), 0),
+  };
+}
+
+/**
+ * Design-matrix row x(T) for a single temperature (per day for degree-day
+ * families), followed by the period's regime terms (see regimeIndicator)
+ * and the values of any extra regressors for that period
+ */
+export function designRow(temp, modelType, cp1 = null, cp2 = null, extra = null, regime = null) {
+  const row = temperatureTerms(temp, modelType, cp1, cp2);
+  if (!extra && !regime) return row;
+  return [...row, ...(regime ? regimeTerms(row, regime) : []), ...(extra ?? [])];
+}
+
+/**
+ * Regime terms for one period of a schedule/season regime (school in
+ * session vs. out, holiday season…). Regime 0 is the reference; each other
+ * regime k gets an indicator that shifts the intercept and, with `slopes`,
+ * indicator × temperature-term columns that shift every slope too. All
+ * regimes share the change point(s).
+ *
+ * @param {number} index - The period's regime (0 = reference)
+ * @param {number} nRegimes - Number of regimes
+ * @param {boolean} [slopes=false] - Regime-specific slopes as well as intercepts
+ * @returns {{ dummies: number[], slopes: boolean }}
+ */
+export function regimeIndicator(index, nRegimes, slopes = false) {
+  return { dummies: Array.from({ length: nRegimes - 1 }, (_, k) => (index === k + 1 ? 1 : 0)), slopes };
+}
+
+/** Indicator (and indicator × temperature) columns for each non-reference regime */
+function regimeTerms(row, { dummies, slopes }) {
+  return dummies.flatMap(d => (slopes ? row.map(v => d * v) : [d]));
+}
+
+/**
+ * Weight vectors c (one per temperature term) whose cᵀβ is that term's
+ * coefficient within `regime`: the reference coefficient plus the regime's
+ * shift. `p` is the full parameter count, extra regressors included.
+ */
+export function regimeContrasts(modelType, regime, p) {
+  const nBase = temperatureTerms(0, modelType, 0, 0).length;
+  const width = regime.slopes ? nBase : 1;
+  return Array.from({ length: nBase }, (_, j) => {
+    const c = Array(p).fill(0);
+    c[j] = 1;
+    regime.dummies.forEach((d, k) => {
+      if (d && (regime.slopes || j === 0)) c[nBase + k * width + (regime.slopes ? j : 0)] = 1;
+    });
+    return c;
+  });
+}
+
+function temperatureTerms(temp, modelType, cp1, cp2) {
+  switch (modelShape(modelType)) {
+    case "3PH": return [1, Math.max(0, cp1 - temp)];
+    case "3PC": return [1, Math.max(0, temp - cp1)];
+    case "4P":  return [1, Math.max(0, cp1 - temp), Math.max(0, temp - cp1)];
+    case "5P":  return [1, Math.max(0, cp1 - temp), Math.max(0, temp - cp2)];
+    case "TOWT": return [1, ...towtTemperatureSegments(temp)];
+    default:    return [1, temp]; // 2P
   }
 }
 
+// ──────────────────────────────────────────────────────────────
+// Time-of-week-and-temperature (TOWT) model for interval data
+// ──────────────────────────────────────────────────────────────
+
+/**
+ * Knots (°F) of the TOWT piecewise-linear temperature response, as in the
+ * LBNL time-of-week-and-temperature model used for AMI baselines.
+ */
+export const TOWT_KNOTS = [40, 55, 65, 80, 90];
+
+/**
+ * TOWT temperature columns: the temperature split across the segments
+ * between knots (below 40, 40–55, …, above 90), each holding the part of
+ * T that falls in it, so they sum to T and each segment has its own slope.
+ */
+function towtTemperatureSegments(temp) {
+  const edges = [-Infinity, ...TOWT_KNOTS, Infinity];
+  return edges.slice(1).map((hi, k) => {
+    const lo = edges[k];
+    if (lo === -Infinity) return Math.min(temp, hi);
+    return Math.max(0, Math.min(temp, hi) - lo);
+  });
+}
+
+/** Number of time-of-week bins: hour of the week for hourly data, day of the week for daily */
+export function timeOfWeekBins(interval) {
+  return interval === "hourly" ? 168 : 7;
+}
+
+/**
+ * Time-of-week bin of a timestamp (ms, read as UTC so bins don't move
+ * with the viewer's time zone): hour of the week counted from Sunday
+ * 00:00 for hourly data, day of the week (Sunday = 0) for daily data.
+ */
+export function timeOfWeek(timestamp, interval) {
+  const date = new Date(timestamp);
+  return interval === "hourly" ? date.getUTCDay() * 24 + date.getUTCHours() : date.getUTCDay();
+}
+
+/**
+ * TOWT's time-of-week terms as regime indicators (see regimeIndicator):
+ * one intercept per bin, with bin 0 (Sunday, or Sunday 00:00) as the
+ * reference. Pass the result as `regimes` with modelType "TOWT".
+ */
+export function timeOfWeekRegimes(timestamps, interval) {
+  const nBins = timeOfWeekBins(interval);
+  return timestamps.map(t => regimeIndicator(timeOfWeek(t, interval), nBins));
+}
+
+/**
+ * Build the design matrix for a given model type and change-point(s).
+ * `extra` (n × k, optional) holds additional regressors such as occupancy
+ * or production volume, appended as columns after the temperature terms.
+ * `regimes` (optional) holds each period's regimeIndicator; their columns
+ * sit between the temperature terms and the extra regressors.
+ */
+export function buildDesignMatrix(temps, modelType, cp1 = null, cp2 = null, extra = null, regimes = null) {
+  return temps.map((t, i) => designRow(t, modelType, cp1, cp2, extra ? extra[i] : null, regimes ? regimes[i] : null));
+}
+
 /**
  * Compute posterior parameters for conjugate NIG regression.
  * 
@@ -235,26 +398,20 @@ export function buildDesignMatrix(temps, modelType, cp1 = null, cp2 = null) {
  * @returns {object} Posterior parameters
  */
 export function bayesianRegression(X, y, mu0, Lambda0, a0, b0) {
-  const n = y.length;
-  const p = X[0].length;
-  const Xt = matTranspose(X);
-  const XtX = matMul(Xt, X.map(row => row.map((v, j) => [v]))).map(row =>
-    row.map(v => v[0] !== undefined ? v[0] : v)
-  );
-  // Recompute XtX properly
-  const XtX2 = Array.from({ length: p }, () => Array(p).fill(0));
-  for (let i = 0; i < n; i++)
-    for (let j = 0; j < p; j++)
-      for (let k = 0; k < p; k++)
-        XtX2[j][k] += X[i][j] * X[i][k];
+  const { XtX, Xty } = crossProducts(X, y);
+  return bayesianRegressionFromStats({ XtX, Xty, yty: vecDot(y, y), n: y.length }, mu0, Lambda0, a0, b0);
+}
 
-  const Xty = Array(p).fill(0);
-  for (let i = 0; i < n; i++)
-    for (let j = 0; j < p; j++)
-      Xty[j] += X[i][j] * y[i];
+/**
+ * Conjugate NIG posterior from the sufficient statistics XᵀX, Xᵀy, yᵀy
+ * and n alone. The cost is O(p³) however many rows there are, which is
+ * what lets the change-point grid reuse one pass over the data.
+ */
+export function bayesianRegressionFromStats({ XtX, Xty, yty, n }, mu0, Lambda0, a0, b0) {
+  const p = XtX.length;
 
   // Posterior precision
-  const LambdaN = matAdd(Lambda0, XtX2);
+  const LambdaN = matAdd(Lambda0, XtX);
   const LambdaN_inv = matInvert(LambdaN);
   if (!LambdaN_inv) return null;
 
@@ -267,99 +424,705 @@ export function bayesianRegression(X, y, mu0, Lambda0, a0, b0) {
   const aN = a0 + n / 2;
 
   // Posterior scale
-  const yty = vecDot(y, y);
-  const mu0_L0_mu0 = vecDot(mu0, matVecMul(Lambda0, mu0));
+  const mu0_L0_mu0 = vecDot(mu0, Lambda0_mu0);
   const muN_LN_muN = vecDot(muN, matVecMul(LambdaN, muN));
   const bN = b0 + 0.5 * (yty + mu0_L0_mu0 - muN_LN_muN);
 
   // Log marginal likelihood
-  const logDetLambda0 = Math.log(Math.abs(matDet(Lambda0)));
-  const logDetLambdaN = Math.log(Math.abs(matDet(LambdaN)));
+  const logDetLambda0 = matLogAbsDet(Lambda0);
+  const logDetLambdaN = matLogAbsDet(LambdaN);
   const logML = -n / 2 * Math.log(2 * Math.PI)
     + 0.5 * logDetLambda0 - 0.5 * logDetLambdaN
     + a0 * Math.log(b0) - aN * Math.log(bN)
     + logGamma(aN) - logGamma(a0);
 
-  // OLS for comparison
-  const XtX_inv = matInvert(XtX2);
-  const betaOLS = XtX_inv ? matVecMul(XtX_inv, Xty) : muN;
-  const yHat = X.map(xi => vecDot(xi, betaOLS));
-  const residuals = y.map((yi, i) => yi - yHat[i]);
-  const SSres = residuals.reduce((s, r) => s + r * r, 0);
-  const yMean = y.reduce((a, b) => a + b, 0) / n;
-  const SStot = y.reduce((s, yi) => s + (yi - yMean) ** 2, 0);
+  return { muN, LambdaN, LambdaN_inv, aN, bN, logML, n, p };
+}
 
+/**
+ * Sequential update: the current posterior (μₙ, Λₙ, aₙ, bₙ) is the prior
+ * for new rows X, y. By conjugacy the result is exactly the posterior on
+ * all the data so far, and the log marginal likelihood accumulates as
+ * log p(y₁…yₖ) = log p(y₁…yₖ₋₁) + log p(yₖ | y₁…yₖ₋₁).
+ */
+export function updateRegression(post, X, y) {
+  const { XtX, Xty } = crossProducts(X, y);
+  const next = bayesianRegressionFromStats({ XtX, Xty, yty: vecDot(y, y), n: y.length }, post.muN, post.LambdaN, post.aN, post.bN);
+  return next && { ...next, logML: post.logML + next.logML, n: post.n + next.n };
+}
+
+/**
+ * Unnormalized log prior density of a change-point location.
+ *
+ * `cpPrior` is null (flat over the search grid) or one of:
+ *   { type: "uniform", lo, hi }
+ *   { type: "normal", mean, sd, lo, hi }            — truncated to [lo, hi]
+ *   { type: "custom", points: [[temp, weight], …] } — piecewise linear, zero outside
+ * Bounds are optional. Returns -Infinity where the prior puts no mass.
+ */
+export function changePointLogPrior(cpPrior, cp) {
+  if (!cpPrior) return 0;
+  const lo = cpPrior.lo ?? -Infinity;
+  const hi = cpPrior.hi ?? Infinity;
+  if (cpPrior.type !== "custom" && (cp < lo || cp > hi)) return -Infinity;
+
+  if (cpPrior.type === "normal") {
+    const z = (cp - cpPrior.mean) / cpPrior.sd;
+    return -0.5 * z * z;
+  }
+  if (cpPrior.type === "custom") {
+    const pts = [...(cpPrior.points || [])].sort((a, b) => a[0] - b[0]);
+    if (pts.length === 0) return 0;
+    if (cp < pts[0][0] || cp > pts[pts.length - 1][0]) return -Infinity;
+    let w = pts[0][1];
+    for (let i = 1; i < pts.length; i++) {
+      const [t0, w0] = pts[i - 1], [t1, w1] = pts[i];
+      if (cp <= t1) {
+        w = t1 === t0 ? Math.max(w0, w1) : w0 + (w1 - w0) * (cp - t0) / (t1 - t0);
+        break;
+      }
+    }
+    return w > 0 ? Math.log(w) : -Infinity;
+  }
+  return 0;
+}
+
+// ──────────────────────────────────────────────────────────────
+// Autocorrelated (AR(1)) errors
+// ──────────────────────────────────────────────────────────────
+
+/**
+ * Prais–Winsten transform for AR(1) errors εₜ = ρ·εₜ₋₁ + uₜ, uₜ ~ N(0, σ²):
+ * row 1 is scaled by √(1 − ρ²) and every later row has ρ × its predecessor
+ * subtracted, which leaves independent errors with variance σ². Rows must
+ * be in time order. The transform's Jacobian is √(1 − ρ²).
+ */
+function praisWinsten(X, y, rho) {
+  const r0 = Math.sqrt(1 - rho * rho);
   return {
-    muN, LambdaN, LambdaN_inv, aN, bN, logML,
-    n, p,
-    // OLS comparison
-    betaOLS,
-    R2: 1 - SSres / SStot,
-    cvRMSE_OLS: (Math.sqrt(SSres / (n - p)) / yMean) * 100,
+    X: X.map((row, t) => (t === 0 ? row.map(v => r0 * v) : row.map((v, j) => v - rho * X[t - 1][j]))),
+    y: y.map((v, t) => (t === 0 ? r0 * v : v - rho * y[t - 1])),
+  };
+}
+
+/**
+ * Log prior density of the AR(1) coefficient ρ, up to a constant.
+ * `ar1` is { mean, sd }: a normal truncated to the stationary range (−1, 1).
+ */
+export function rhoLogPrior(ar1, rho) {
+  if (!(rho > -1 && rho < 1)) return -Infinity;
+  const z = (rho - ar1.mean) / ar1.sd;
+  return -0.5 * z * z;
+}
+
+/**
+ * Effective number of independent observations under AR(1) errors,
+ * n′ = n·(1 − ρ)/(1 + ρ), as in ASHRAE Guideline 14
+ */
+export function effectiveSampleSize(n, rho) {
+  return n * (1 - rho) / (1 + rho);
+}
+
+// ──────────────────────────────────────────────────────────────
+// Sufficient statistics for the change-point grid
+// ──────────────────────────────────────────────────────────────
+
+/**
+ * XᵀX, Xᵀy and yᵀy of a change-point family at any change point(s), from
+ * one O(n log n) pass over the data instead of a rebuilt design matrix.
+ *
+ * Every design column is a per-period factor (the intercept, a regime
+ * indicator or an extra regressor) times a temperature basis: 1, (τ₁ − T)⁺
+ * or (T − τ)⁺ (τ = τ₂ for 5P). Sorted by temperature, a hinge is non-zero
+ * on a prefix or a suffix of the rows and is a quadratic in T there, so each
+ * entry is a combination of prefix sums of w·f·g·Tᵐ (m = 0, 1, 2) over
+ * factor pairs f, g, and a candidate costs a binary search plus O(p²).
+ * The two hinges never overlap, since τ₁ ≤ τ₂ (4P shares one τ).
+ *
+ * `weights` w (days, for degree-day families) reproduce the √d row scaling:
+ * XᵀX = Σ w·x·xᵀ, and the response enters as one more factor, y/w.
+ * Temperatures are centred so the quadratics don't lose precision.
+ *
+ * @returns {function} (cp1, cp2) → { XtX, Xty, yty, n }
+ */
+function changePointStatistics(temps, y, modelType, weights = null, extra = null, regimes = null) {
+  const n = temps.length;
+  const shape = modelShape(modelType);
+  const tc = temps.reduce((a, b) => a + b, 0) / n;
+  const order = temps.map((_, i) => i).sort((a, b) => temps[a] - temps[b]);
+  const sorted = order.map(i => temps[i] - tc);
+  const w = weights ?? temps.map(() => 1);
+
+  // Factors: intercept, regime indicators, extra regressors, then the response
+  const nDummies = regimes?.[0]?.dummies.length ?? 0;
+  const nExtra = extra?.[0]?.length ?? 0;
+  const q = nDummies + nExtra + 2;
+  const yFactor = q - 1;
+  const factors = i => [1, ...(regimes ? regimes[i].dummies : []), ...(extra ? extra[i] : []), y[i] / w[i]];
+
+  // Design columns as [factor, basis]: basis 0 = 1, 1 = (τ₁ − T)⁺, 2 = (T − τ)⁺
+  const bases = { "3PH": [0, 1], "3PC": [0, 2], "4P": [0, 1, 2], "5P": [0, 1, 2] }[shape];
+  const columns = [
+    ...bases.map(b => [0, b]),
+    ...Array.from({ length: nDummies }, (_, k) => (regimes[0].slopes ? bases.map(b => [k + 1, b]) : [[k + 1, 0]])).flat(),
+    ...Array.from({ length: nExtra }, (_, m) => [nDummies + m + 1, 0]),
+  ];
+
+  // prefix[f][g][m][r]: Σ w·f·g·Tᵐ over the r coldest periods (f ≤ g)
+  const prefix = Array.from({ length: q }, (_, f) => Array.from({ length: q }, (_, g) =>
+    (g < f ? null : [0, 1, 2].map(() => new Float64Array(n + 1)))));
+  order.forEach((i, r) => {
+    const fi = factors(i);
+    const t = sorted[r];
+    for (let f = 0; f < q; f++) {
+      for (let g = f; g < q; g++) {
+        const v = w[i] * fi[f] * fi[g];
+        const P = prefix[f][g];
+        P[0][r + 1] = P[0][r] + v;
+        P[1][r + 1] = P[1][r] + v * t;
+        P[2][r + 1] = P[2][r] + v * t * t;
+      }
+    }
+  });
+
+  // Number of periods colder than τ (centred)
+  const countBelow = tau => {
+    let lo = 0, hi = n;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (sorted[mid] < tau) lo = mid + 1; else hi = mid;
+    }
+    return lo;
+  };
+
+  return (cp1, cp2 = null) => {
+    const u1 = cp1 - tc;
+    const u2 = (shape === "5P" ? cp2 : cp1) - tc;
+    const k1 = countBelow(u1), k2 = countBelow(u2);
+    const below = (P, m) => P[m][k1];
+    const above = (P, m) => P[m][n] - P[m][k2];
+
+    // Σ w·f·g·basis₁·basis₂ over all periods
+    const entry = (f, g, b1, b2) => {
+      const P = f <= g ? prefix[f][g] : prefix[g][f];
+      if (b1 > b2) [b1, b2] = [b2, b1];
+      if (b1 === 0 && b2 === 0) return P[0][n];
+      if (b1 === 0 && b2 === 1) return u1 * below(P, 0) - below(P, 1);
+      if (b1 === 0 && b2 === 2) return above(P, 1) - u2 * above(P, 0);
+      if (b1 === 1 && b2 === 1) return u1 * u1 * below(P, 0) - 2 * u1 * below(P, 1) + below(P, 2);
+      if (b1 === 2 && b2 === 2) return above(P, 2) - 2 * u2 * above(P, 1) + u2 * u2 * above(P, 0);
+      return 0; // opposite hinges
+    };
+
+    return {
+      XtX: columns.map(([f, b1]) => columns.map(([g, b2]) => entry(f, g, b1, b2))),
+      Xty: columns.map(([f, b]) => entry(f, yFactor, b, 0)),
+      yty: entry(yFactor, yFactor, 0, 0),
+      n,
+    };
   };
 }
 
 /**
  * Compute posterior over change-point locations via marginal likelihood.
- * Returns array of { cp, logML, posterior } for each candidate.
+ * Returns array of { cp, width, logML, logPrior, prior, posterior, density }
+ * (plus cp2, width2 for 5P), one per grid cell.
+ * 2P and TOWT have no change point: they return a single candidate with cp = null.
+ *
+ * Each candidate stands for a cell of the search range centred on it, so
+ * `prior` and `posterior` are probability masses and `density` is posterior
+ * mass per °F (per °F² for 5P). The change-point prior (priors.cpPrior, and
+ * priors.cp2Prior for the 5P cooling change point) is integrated over the
+ * cells, so posterior ∝ p(y|cp)·prior. Cells with zero prior mass are skipped.
+ *
+ * The grid is adaptive: a coarse tiling of the range is evaluated first, then
+ * the cells holding `refineMass` of the posterior are split in half (in both
+ * directions for 5P) for `refine` rounds. Sharp peaks get fine resolution
+ * without spending evaluations on flat regions.
+ *
+ * With priors.ar1 set ({ mean, sd } for ρ), errors follow an AR(1) process
+ * over the rows' (time) order. ρ becomes one more grid dimension, tiled over
+ * (−1, 1) and refined like the change points; each cell's fit is conditional
+ * on its ρ (Prais–Winsten) and its posterior carries `rho`, so model
+ * averaging integrates ρ out. This applies to 2P and TOWT as well.
+ *
+ * @param {object} [options]
+ * @param {number[]} [options.days] - Days in each period (degree-day families; default AVG_MONTH_DAYS)
+ * @param {number[][]} [options.extra] - Extra regressors, one row per period (see buildDesignMatrix)
+ * @param {object[]} [options.regimes] - Each period's regimeIndicator (see buildDesignMatrix)
+ * @param {number} [options.step] - Coarse cell width in °F (1 for 3P/4P, 2 for 5P)
+ * @param {number} [options.margin] - Distance kept from the coldest/warmest observation (3, or 4 for 5P)
+ * @param {number} [options.minGap=6] - 5P: minimum dead band between heating and cooling change points
+ * @param {number} [options.refine=3] - Refinement rounds (0 = fixed grid)
+ * @param {number} [options.refineMass=0.99] - Posterior mass whose cells are split each round
+ * @param {number} [options.rhoStep=0.2] - AR(1): coarse cell width in ρ
+ * @param {number} [options.maxCells] - Cap on grid size; the heaviest cells are split first
+ *   (200, or 1500 for 5P; four times that with AR(1) errors)
+ * @param {boolean} [options.fast=true] - Fit cells from sorted sufficient statistics (see
+ *   changePointStatistics); false rebuilds the design matrix for every cell, as AR(1) errors always do
+ * @param {function} [options.onProgress] - Called with the fraction of grid rounds done (coarse grid,
+ *   then each refinement), for progress reporting
  */
-export function changePointPosterior(temps, y, modelType, priors, cpStep = 0.5) {
+export function changePointPosterior(temps, y, modelType, priors, options = {}) {
+  const shape = modelShape(modelType);
+  const is5P = shape === "5P";
+  const ar1 = !!priors.ar1;
+  const {
+    step = is5P ? 2 : 1,
+    margin = is5P ? 4 : 3,
+    minGap = 6,
+    refine = 3,
+    refineMass = 0.99,
+    rhoStep = 0.2,
+  } = options;
+  // ρ adds a grid dimension, so the cap grows with it
+  const maxCells = options.maxCells ?? (is5P ? 1500 : 200) * (ar1 ? 4 : 1);
   const tMin = Math.min(...temps);
   const tMax = Math.max(...temps);
-  const results = [];
-
-  if (modelType === "3PH" || modelType === "3PC") {
-    for (let cp = tMin + 3; cp <= tMax - 3; cp += cpStep) {
-      const X = buildDesignMatrix(temps, modelType, cp);
-      const { mu0, Lambda0, a0, b0 } = buildPriorParams(priors, X[0].length);
-      const post = bayesianRegression(X, y, mu0, Lambda0, a0, b0);
-      if (post) results.push({ cp, logML: post.logML, post });
+  const scaling = isDegreeDayModel(modelType) ? dayScaling(options.days, y) : null;
+  const yFit = scaling ? scaling.y : y;
+
+  // Same prior for every candidate — only the design matrix moves with the change point
+  const extra = options.extra ?? null;
+  const regimes = options.regimes ?? null;
+  const prior = buildPriorParams(priors, designRow(tMin, modelType, tMin, tMax, extra?.[0], regimes?.[0]).length);
+  if (!prior) return [];
+  const { mu0, Lambda0, a0, b0 } = prior;
+
+  // Prais–Winsten mixes neighbouring periods, so AR(1) fits can't use the sorted statistics
+  const stats = options.fast !== false && !ar1 && ["3PH", "3PC", "4P", "5P"].includes(shape)
+    ? changePointStatistics(temps, y, modelType, scaling?.days, extra, regimes)
+    : null;
+
+  // Conjugate fit for one cell (change point(s) and, with AR(1) errors, ρ)
+  const fit = cell => {
+    let post;
+    if (stats) {
+      post = bayesianRegressionFromStats(stats(cell.cp, cell.cp2), mu0, Lambda0, a0, b0);
+    } else {
+      let X = buildDesignMatrix(temps, modelType, cell.cp, cell.cp2, extra, regimes);
+      let yc = yFit;
+      if (scaling) X = X.map((row, i) => row.map(v => v * scaling.sqrt[i]));
+      if (cell.rho != null) ({ X, y: yc } = praisWinsten(X, yc, cell.rho));
+      post = bayesianRegression(X, yc, mu0, Lambda0, a0, b0);
     }
-  } else if (modelType === "5P") {
-    for (let cph = tMin + 4; cph <= tMax - 10; cph += 1) {
-      for (let cpc = cph + 6; cpc <= tMax - 4; cpc += 1) {
-        const X = buildDesignMatrix(temps, modelType, cph, cpc);
-        const { mu0, Lambda0, a0, b0 } = buildPriorParams(priors, X[0].length);
-        const post = bayesianRegression(X, y, mu0, Lambda0, a0, b0);
-        if (post) results.push({ cp: cph, cp2: cpc, logML: post.logML, post });
-      }
+    if (!post) return null;
+    if (scaling) post.logML += scaling.logJacobian;
+    if (cell.rho != null) {
+      post.logML += 0.5 * Math.log(1 - cell.rho * cell.rho);
+      post.rho = cell.rho;
     }
+    return post;
+  };
+
+  if (!hasChangePoint(modelType) && !ar1) {
+    const post = fit({ cp: null });
+    return post ? [{ cp: null, logML: post.logML, logPrior: 0, prior: 1, posterior: 1, post }] : [];
   }
+  if (!["2P", "3PH", "3PC", "4P", "5P", "TOWT"].includes(shape)) return [];
+
+  // Evaluate one cell; null if the prior rules it out or the fit fails
+  const evaluate = cell => {
+    let logPrior = 0;
+    if (cell.cp != null) logPrior += changePointLogPrior(priors.cpPrior, cell.cp) + Math.log(cell.width);
+    if (is5P) {
+      if (cell.cp2 - cell.cp < minGap) return null;
+      logPrior += changePointLogPrior(priors.cp2Prior, cell.cp2) + Math.log(cell.width2);
+    }
+    if (ar1) logPrior += rhoLogPrior(priors.ar1, cell.rho) + Math.log(cell.rhoWidth);
+    if (logPrior === -Infinity) return null;
+    const post = fit(cell);
+    if (!post) return null;
+    return { ...cell, logML: post.logML, logPriorCell: logPrior, post };
+  };
 
+  // Coarse tiling of [lo, hi] into equal cells
+  const tile = (lo, hi, w0 = step) => {
+    const k = Math.max(1, Math.ceil((hi - lo) / w0 - 1e-9));
+    const w = (hi - lo) / k;
+    return Array.from({ length: k }, (_, i) => ({ c: lo + (i + 0.5) * w, w }));
+  };
+  const lo = tMin + margin, hi = tMax - margin;
+  let cells = [];
+  if (!hasChangePoint(modelType)) {
+    cells = [{ cp: null }];
+  } else if (is5P) {
+    if (hi - lo <= minGap) return [];
+    for (const h of tile(lo, hi - minGap)) {
+      for (const c of tile(lo + minGap, hi)) {
+        cells.push({ cp: h.c, width: h.w, cp2: c.c, width2: c.w });
+      }
+    }
+  } else {
+    if (hi <= lo) return [];
+    cells = tile(lo, hi).map(t => ({ cp: t.c, width: t.w }));
+  }
+  if (ar1) cells = cells.flatMap(cell => tile(-1, 1, rhoStep).map(r => ({ ...cell, rho: r.c, rhoWidth: r.w })));
+  const onProgress = options.onProgress ?? (() => {});
+  let results = cells.map(evaluate).filter(Boolean);
   if (results.length === 0) return [];
+  onProgress(1 / (refine + 1));
+
+  // Dimensions a refined cell is halved along
+  const dims = [
+    ...(hasChangePoint(modelType) ? [["cp", "width"]] : []),
+    ...(is5P ? [["cp2", "width2"]] : []),
+    ...(ar1 ? [["rho", "rhoWidth"]] : []),
+  ];
+  const splitCell = r => dims.reduce((children, [key, widthKey]) => children.flatMap(ch =>
+    [r[key] - r[widthKey] / 4, r[key] + r[widthKey] / 4].map(v => ({ ...ch, [key]: v, [widthKey]: r[widthKey] / 2 }))),
+  [{ cp: r.cp }]);
+
+  normalizeCells(results);
+  for (let round = 0; round < refine; round++) {
+    // Split the cells that carry the posterior, heaviest first, within the size cap
+    const sorted = [...results].sort((a, b) => b.posterior - a.posterior);
+    const added = 2 ** dims.length - 1; // net cells added per split
+    const split = new Set();
+    let cum = 0, size = results.length;
+    for (const r of sorted) {
+      if (cum >= refineMass || size + added > maxCells) break;
+      split.add(r);
+      cum += r.posterior;
+      size += added;
+    }
+    if (split.size === 0) break;
+    const next = [];
+    for (const r of results) {
+      if (!split.has(r)) { next.push(r); continue; }
+      next.push(...splitCell(r).map(evaluate).filter(Boolean));
+    }
+    results = next;
+    normalizeCells(results);
+    onProgress((round + 2) / (refine + 1));
+  }
+
+  return results.sort((a, b) => (a.cp ?? 0) - (b.cp ?? 0) || (a.cp2 ?? 0) - (b.cp2 ?? 0) || (a.rho ?? 0) - (b.rho ?? 0));
+}
+
+/** Normalize cell prior masses, then posterior masses and densities, in place */
+function normalizeCells(results) {
+  const logZPrior = logSumExp(results.map(r => r.logPriorCell));
+  const logPost = results.map(r => r.logML + r.logPriorCell);
+  const logZ = logSumExp(logPost);
+  results.forEach((r, i) => {
+    r.logPrior = r.logPriorCell - logZPrior;
+    r.prior = Math.exp(r.logPrior);
+    r.posterior = Math.exp(logPost[i] - logZ);
+    r.density = r.posterior / ((r.width ?? 1) * (r.width2 ?? 1) * (r.rhoWidth ?? 1));
+  });
+}
+
+/** MAP candidate: highest posterior density (cells differ in width, so not the largest mass) */
+export function mapChangePoint(cpResults) {
+  return cpResults.reduce((a, b) => (b.density ?? b.posterior) > (a.density ?? a.posterior) ? b : a);
+}
+
+/**
+ * The grid of a change-point posterior with every cell back at its prior
+ * (n = 0, log ML = 0), to stream periods into from the start with
+ * updateChangePointPosterior
+ */
+export function changePointPriorCells(cpResults, priors) {
+  const prior = buildPriorParams(priors, cpResults[0].post.p);
+  if (!prior) return [];
+  const post = {
+    muN: prior.mu0, LambdaN: prior.Lambda0, LambdaN_inv: matInvert(prior.Lambda0),
+    aN: prior.a0, bN: prior.b0, logML: 0, n: 0, p: prior.mu0.length,
+  };
+  const cells = cpResults.map(r => ({ ...r, logPriorCell: r.logPriorCell ?? 0, logML: 0, post }));
+  normalizeCells(cells);
+  return cells;
+}
+
+/**
+ * Sequential update of a change-point posterior with new periods ({ temp,
+ * energy, days?, extra?, regime? }): each cell's posterior takes them in
+ * (see updateRegression) and the cell weights move with its marginal
+ * likelihood. The grid stays as it is, without refinement. Cells with
+ * AR(1) errors can't be updated this way, since a new period's error
+ * depends on the last residual.
+ */
+export function updateChangePointPosterior(cpResults, modelType, periods) {
+  if (cpResults.some(r => r.rho != null)) throw new Error("Sequential updating needs independent errors, not AR(1)");
+  const energy = periods.map(d => d.energy);
+  const scaling = isDegreeDayModel(modelType) ? dayScaling(periods.map(d => d.days ?? AVG_MONTH_DAYS), energy) : null;
+  const y = scaling ? scaling.y : energy;
+  const next = cpResults.map(r => {
+    let X = periods.map(d => designRow(d.temp, modelType, r.cp, r.cp2, d.extra, d.regime));
+    if (scaling) X = X.map((row, i) => row.map(v => v * scaling.sqrt[i]));
+    const post = updateRegression(r.post, X, y);
+    if (!post) return null;
+    if (scaling) post.logML += scaling.logJacobian;
+    return { ...r, logPriorCell: r.logPriorCell ?? 0, logML: post.logML, post };
+  }).filter(Boolean);
+  normalizeCells(next);
+  return next;
+}
+
+const CELL_WIDTH_KEYS = { cp: "width", cp2: "width2", rho: "rhoWidth" };
+
+/**
+ * Marginal summary of one change point from a (possibly adaptive) grid —
+ * or of the AR(1) coefficient ρ, which is gridded the same way.
+ *
+ * Cell masses are spread over `nPoints` regular bins and lightly smoothed
+ * for display. The mean is exact for the cell approximation; the median
+ * interpolates the cumulative mass; the 95% HPD interval spans the densest
+ * bins holding 95% of the mass (its hull, if the posterior is multimodal).
+ *
+ * @param {object[]} cpResults - Output of changePointPosterior
+ * @param {"cp"|"cp2"|"rho"} [key="cp"] - Which change point (cp2 = 5P cooling), or ρ
+ * @returns {{ mean, median, hpd95: number[], density: {x, density}[] } | null}
+ */
+export function changePointSummary(cpResults, key = "cp", nPoints = 200) {
+  const widthKey = CELL_WIDTH_KEYS[key];
+  const cells = cpResults.filter(r => r[key] != null && r[widthKey] > 0);
+  if (cells.length === 0) return null;
+
+  const lo = Math.min(...cells.map(r => r[key] - r[widthKey] / 2));
+  const hi = Math.max(...cells.map(r => r[key] + r[widthKey] / 2));
+  const dx = (hi - lo) / nPoints;
+  const hist = new Array(nPoints).fill(0);
+  let mean = 0;
+  for (const r of cells) {
+    const a = r[key] - r[widthKey] / 2, b = r[key] + r[widthKey] / 2;
+    mean += r.posterior * r[key];
+    const first = Math.max(0, Math.floor((a - lo) / dx));
+    const last = Math.min(nPoints - 1, Math.ceil((b - lo) / dx) - 1);
+    for (let i = first; i <= last; i++) {
+      const overlap = Math.min(b, lo + (i + 1) * dx) - Math.max(a, lo + i * dx);
+      if (overlap > 0) hist[i] += r.posterior * overlap / r[widthKey];
+    }
+  }
+
+  // Median: walk the cumulative mass and interpolate inside the crossing bin
+  let median = hi, cum = 0;
+  for (let i = 0; i < nPoints; i++) {
+    if (cum + hist[i] >= 0.5) {
+      median = lo + (i + (hist[i] > 0 ? (0.5 - cum) / hist[i] : 0)) * dx;
+      break;
+    }
+    cum += hist[i];
+  }
+
+  // 95% HPD: densest bins first
+  const order = hist.map((m, i) => i).sort((a, b) => hist[b] - hist[a]);
+  let hpdLo = Infinity, hpdHi = -Infinity;
+  cum = 0;
+  for (const i of order) {
+    hpdLo = Math.min(hpdLo, lo + i * dx);
+    hpdHi = Math.max(hpdHi, lo + (i + 1) * dx);
+    cum += hist[i];
+    if (cum >= 0.95) break;
+  }
+
+  // Gaussian smoothing over ±3 bins for display
+  const kernel = [-3, -2, -1, 0, 1, 2, 3].map(k => Math.exp(-0.5 * k * k));
+  const density = hist.map((_, i) => {
+    let sum = 0, wSum = 0;
+    kernel.forEach((w, k) => {
+      const j = i + k - 3;
+      if (j >= 0 && j < nPoints) { sum += w * hist[j]; wSum += w; }
+    });
+    return { x: lo + (i + 0.5) * dx, density: sum / wSum / dx };
+  });
 
-  // Normalize log marginal likelihoods to posterior probabilities
-  const maxLogML = Math.max(...results.map(r => r.logML));
-  const unnorm = results.map(r => Math.exp(r.logML - maxLogML));
-  const Z = unnorm.reduce((a, b) => a + b, 0);
-  results.forEach((r, i) => { r.posterior = unnorm[i] / Z; });
+  return { mean, median, hpd95: [hpdLo, hpdHi], density };
+}
+
+/**
+ * Joint summary of the 5P heating/cooling change points: their posterior
+ * correlation and the dead-band width cp2 − cp. Within-cell spread
+ * (uniform over each cell) is included in the variances.
+ *
+ * @returns {{ corr, deadBand: { mean, ci95: number[] } } | null}
+ */
+export function jointChangePointSummary(cpResults) {
+  const cells = cpResults.filter(r => r.cp != null && r.cp2 != null);
+  if (cells.length === 0) return null;
+
+  let m1 = 0, m2 = 0;
+  cells.forEach(r => { m1 += r.posterior * r.cp; m2 += r.posterior * r.cp2; });
+  let v1 = 0, v2 = 0, cov = 0;
+  cells.forEach(r => {
+    v1 += r.posterior * ((r.cp - m1) ** 2 + r.width ** 2 / 12);
+    v2 += r.posterior * ((r.cp2 - m2) ** 2 + r.width2 ** 2 / 12);
+    cov += r.posterior * (r.cp - m1) * (r.cp2 - m2);
+  });
+
+  // Dead-band quantiles from cell centres, weighted by mass
+  const bands = cells.map(r => ({ d: r.cp2 - r.cp, w: r.posterior })).sort((a, b) => a.d - b.d);
+  const quantile = p => {
+    let cum = 0;
+    for (const b of bands) {
+      cum += b.w;
+      if (cum >= p) return b.d;
+    }
+    return bands[bands.length - 1].d;
+  };
+
+  return {
+    corr: v1 > 0 && v2 > 0 ? cov / Math.sqrt(v1 * v2) : 0,
+    deadBand: { mean: m2 - m1, ci95: [quantile(0.025), quantile(0.975)] },
+  };
+}
+
+// ──────────────────────────────────────────────────────────────
+// Model comparison across families
+// ──────────────────────────────────────────────────────────────
+
+export const MODEL_FAMILIES = ["2P", "3PH", "3PC", "4P", "5P", "HDD", "CDD", "HCDD"];
 
-  return results;
+/** Families that need interval (daily/hourly) data: TOWT needs the time of week */
+export const INTERVAL_FAMILIES = ["TOWT"];
+
+/** log Σ exp(xᵢ) without overflow */
+function logSumExp(xs) {
+  const m = Math.max(...xs);
+  return m + Math.log(xs.reduce((s, x) => s + Math.exp(x - m), 0));
+}
+
+/**
+ * Posterior probabilities over model families via marginal likelihood.
+ *
+ * Each family's evidence integrates out its change point(s) under its
+ * change-point prior on the grid: p(y|M) = Σₖ p(cpₖ|M) p(y|M, cpₖ), which
+ * is the plain grid average when the prior is flat. With equal prior odds
+ * on families, P(M|y) ∝ p(y|M).
+ *
+ * @param {function|object} priorsFor - Priors, or modelType → priors
+ * @param {function|object} [options] - Passed to changePointPosterior (e.g. days),
+ *   or modelType → options (TOWT takes time-of-week regimes the others don't)
+ * @returns {object[]} { modelType, logEvidence, posterior, logBF, nCandidates, mapCP, mapCP2 }
+ *   in the order given; logBF is relative to the most probable family
+ */
+export function compareModels(temps, y, priorsFor, modelTypes = MODEL_FAMILIES, options = {}) {
+  const rows = [];
+  for (const modelType of modelTypes) {
+    const priors = typeof priorsFor === "function" ? priorsFor(modelType) : priorsFor;
+    const opts = typeof options === "function" ? options(modelType) : options;
+    const cpResults = changePointPosterior(temps, y, modelType, priors, opts);
+    if (cpResults.length === 0) continue;
+    const best = mapChangePoint(cpResults);
+    rows.push({
+      modelType,
+      logEvidence: logSumExp(cpResults.map(r => r.logML + r.logPrior)),
+      nCandidates: cpResults.length,
+      mapCP: best.cp,
+      mapCP2: best.cp2 ?? null,
+    });
+  }
+  if (rows.length === 0) return [];
+
+  const maxLog = Math.max(...rows.map(r => r.logEvidence));
+  const Z = rows.reduce((s, r) => s + Math.exp(r.logEvidence - maxLog), 0);
+  rows.forEach(r => {
+    r.posterior = Math.exp(r.logEvidence - maxLog) / Z;
+    r.logBF = r.logEvidence - maxLog;
+  });
+  return rows;
+}
+
+/**
+ * Verbal strength of evidence for a Bayes factor (Kass & Raftery, 1995).
+ * Takes log BF in favour of the better model (≥ 0).
+ */
+export function bayesFactorStrength(logBF) {
+  const log10BF = logBF / Math.LN10;
+  if (log10BF < 0.5) return "Not worth more than a bare mention";
+  if (log10BF < 1) return "Substantial";
+  if (log10BF < 2) return "Strong";
+  return "Decisive";
+}
+
+/** Cholesky factor L (M = LLᵀ), or null if M is not positive definite */
+function cholesky(M) {
+  const n = M.length;
+  const L = Array.from({ length: n }, () => Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let s = M[i][j];
+      for (let k = 0; k < j; k++) s -= L[i][k] * L[j][k];
+      if (i === j) {
+        if (s <= 0) return null;
+        L[i][j] = Math.sqrt(s);
+      } else {
+        L[i][j] = s / L[j][j];
+      }
+    }
+  }
+  return L;
+}
+
+/**
+ * Prior means and SDs in coefficient order: the model's own terms (for
+ * TOWT, the intercept and one slope per temperature segment), then
+ * one { mean, sd } per regime column (priors.regimes) and per extra
+ * regressor (priors.extra).
+ */
+function priorMoments(priors, p) {
+  const extra = [...(priors.regimes ?? []), ...(priors.extra ?? [])];
+  const nBase = p - extra.length;
+  const mean = [priors.baseload, ...Array(nBase - 1).fill(priors.slope)];
+  const sd = [priors.baseloadSD, ...Array(nBase - 1).fill(priors.slopeSD)];
+  if (nBase === 3) {
+    // 4P/5P: β₂ has its own prior (TOWT's segment slopes all share the slope prior)
+    mean[2] = priors.slope2 ?? priors.slope;
+    sd[2] = priors.slope2SD ?? priors.slopeSD;
+  }
+  return { mean: [...mean, ...extra.map(e => e.mean)], sd: [...sd, ...extra.map(e => e.sd)] };
+}
+
+/**
+ * Prior covariance Σ₀ of β from per-coefficient standard deviations and
+ * an optional correlation matrix (leading p×p block is used).
+ */
+function priorCovariance(priors, p) {
+  const { sd } = priorMoments(priors, p);
+  const corr = (i, j) => (i === j ? 1 : priors.corr?.[i]?.[j] ?? 0);
+  return sd.map((si, i) => sd.map((sj, j) => si * sj * corr(i, j)));
 }
 
 /**
  * Build prior parameters from user-facing sliders.
+ *
+ * The user states each coefficient's prior mean and standard deviation
+ * (plus optional correlations) directly in energy units. Under the NIG
+ * prior, β's marginal is t_{2a₀}(μ₀, b₀/a₀ · Λ₀⁻¹), so setting
+ * Λ₀ = (b₀/a₀) · Σ₀⁻¹ makes each marginal's scale the stated SD.
  * 
  * @param {object} priors - User-set prior parameters
- *   - baseload: prior mean for β₀
- *   - slope: prior mean for β₁ (and β₂ for 5P)
- *   - strength: prior precision multiplier (higher = stronger prior)
+ *   - baseload, baseloadSD: prior mean and SD for β₀
+ *   - slope, slopeSD: prior mean and SD for β₁
+ *   - slope2, slope2SD: prior mean and SD for β₂ (4P: slope above Tcp, 5P: cooling slope)
+ *     (TOWT's temperature-segment slopes all use slope, slopeSD)
+ *   - regimes: [{ mean, sd }] for each regime shift, in column order
+ *   - extra: [{ mean, sd }] for each extra regressor's coefficient, in column order
+ *   - corr: optional correlation matrix between coefficients (null = independent)
  *   - noiseA: prior shape for σ²
  *   - noiseB: prior scale for σ²
  * @param {number} p - Number of parameters
+ * @returns {object|null} { mu0, Lambda0, a0, b0 }, or null if Σ₀ is not positive definite
  */
 function buildPriorParams(priors, p) {
-  const mu0 = p === 2
-    ? [priors.baseload, priors.slope]
-    : [priors.baseload, priors.slope, priors.slope2 || priors.slope];
+  const mu0 = priorMoments(priors, p).mean;
 
-  // Prior precision: diagonal, scaled by strength
-  const lambda = priors.strength;
-  const Lambda0 = identityMatrix(p).map(row => row.map(v => v * lambda));
+  const Sigma0 = priorCovariance(priors, p);
+  if (!cholesky(Sigma0)) return null;
+  const Lambda0 = matScale(matInvert(Sigma0), priors.noiseB / priors.noiseA);
 
   return { mu0, Lambda0, a0: priors.noiseA, b0: priors.noiseB };
 }
 
+/**
+ * Whether the stated prior SDs and correlations form a valid
+ * (positive-definite) covariance for a p-parameter model.
+ */
+export function priorIsValid(priors, p) {
+  return cholesky(priorCovariance(priors, p)) !== null;
+}
+
 // ──────────────────────────────────────────────────────────────
 // Posterior summaries for visualization
 // ──────────────────────────────────────────────────────────────
@@ -369,9 +1132,18 @@ function buildPriorParams(priors, p) {
  * β_j | y ~ t_{2aₙ}(μₙⱼ, bₙ/aₙ · [Λₙ⁻¹]ⱼⱼ)
  */
 export function parameterPosterior(post, paramIndex, nPoints = 200) {
+  return linearCombinationPosterior(post, post.muN.map((_, j) => (j === paramIndex ? 1 : 0)), nPoints);
+}
+
+/**
+ * Marginal posterior density for a combination cᵀβ of the coefficients,
+ * e.g. a regime's own slope (see regimeContrasts).
+ * cᵀβ | y ~ t_{2aₙ}(cᵀμₙ, bₙ/aₙ · cᵀΛₙ⁻¹c)
+ */
+export function linearCombinationPosterior(post, c, nPoints = 200) {
   const nu = 2 * post.aN;
-  const mu = post.muN[paramIndex];
-  const scale = Math.sqrt((post.bN / post.aN) * post.LambdaN_inv[paramIndex][paramIndex]);
+  const mu = vecDot(c, post.muN);
+  const scale = Math.sqrt((post.bN / post.aN) * vecDot(c, matVecMul(post.LambdaN_inv, c)));
   
   // Generate density over ±4 standard deviations
   const range = 4 * scale;
@@ -416,7 +1188,9 @@ export function sigmaPosterior(post, nPoints = 200) {
  * Under NIG prior: β_j marginally ~ t_{2a₀}(μ₀ⱼ, b₀/a₀ · [Λ₀⁻¹]ⱼⱼ)
  */
 export function parameterPrior(priors, paramIndex, p, nPoints = 200) {
-  const { mu0, Lambda0, a0, b0 } = buildPriorParams(priors, p);
+  const prior = buildPriorParams(priors, p);
+  if (!prior) return null;
+  const { mu0, Lambda0, a0, b0 } = prior;
   const Lambda0_inv = matInvert(Lambda0);
   if (!Lambda0_inv) return null;
 
@@ -433,15 +1207,30 @@ export function parameterPrior(priors, paramIndex, p, nPoints = 200) {
   return { points, mean: mu, nu, scale };
 }
 
+/**
+ * Location and scale of the Student-t posterior predictive at x*. With
+ * `days` (degree-day families) it is for a whole period of that length:
+ * d·x*ᵀμₙ with scale² = bₙ/aₙ · (d² x*ᵀΛₙ⁻¹x* + d). Under AR(1) errors
+ * σ² is the innovation variance, so the noise term is d/(1 − ρ²).
+ */
+function predictiveParams(post, xStar, days = null) {
+  const quadForm = vecDot(xStar, matVecMul(post.LambdaN_inv, xStar));
+  const d = days ?? 1;
+  const noise = d / (1 - (post.rho ?? 0) ** 2);
+  return {
+    mean: d * vecDot(xStar, post.muN),
+    scale: Math.sqrt((post.bN / post.aN) * (d * d * quadForm + noise)),
+    nu: 2 * post.aN,
+  };
+}
+
 /**
  * Posterior predictive at a single temperature.
  * y*|y ~ t_{2aₙ}(x*ᵀμₙ, bₙ/aₙ · (1 + x*ᵀΛₙ⁻¹x*))
+ * Pass `days` for a degree-day model to predict a period of that length.
  */
-export function predictiveAtTemp(post, xStar) {
-  const nu = 2 * post.aN;
-  const mu = vecDot(xStar, post.muN);
-  const quadForm = vecDot(xStar, matVecMul(post.LambdaN_inv, xStar));
-  const scale = Math.sqrt((post.bN / post.aN) * (1 + quadForm));
+export function predictiveAtTemp(post, xStar, days = null) {
+  const { mean: mu, scale, nu } = predictiveParams(post, xStar, days);
 
   return {
     mean: mu,
@@ -455,19 +1244,16 @@ export function predictiveAtTemp(post, xStar) {
 
 /**
  * Generate posterior predictive fan chart data.
+ * Degree-day families are shown for a period of AVG_MONTH_DAYS days; extra
+ * regressors are held at `extra` (e.g. their baseline means), and the fan is
+ * for `regime` (a regimeIndicator; null = the reference regime).
  */
-export function posteriorPredictiveFan(post, modelType, cp1, cp2, tempMin, tempMax, nPoints = 100) {
+export function posteriorPredictiveFan(post, modelType, cp1, cp2, tempMin, tempMax, nPoints = 100, extra = null, regime = null) {
+  const days = isDegreeDayModel(modelType) ? AVG_MONTH_DAYS : null;
   const fan = [];
   for (let i = 0; i < nPoints; i++) {
     const temp = tempMin + (tempMax - tempMin) * i / (nPoints - 1);
-    let xStar;
-    switch (modelType) {
-      case "3PH": xStar = [1, Math.max(0, cp1 - temp)]; break;
-      case "3PC": xStar = [1, Math.max(0, temp - cp1)]; break;
-      case "5P":  xStar = [1, Math.max(0, cp1 - temp), Math.max(0, temp - cp2)]; break;
-      default:    xStar = [1, temp];
-    }
-    const pred = predictiveAtTemp(post, xStar);
+    const pred = predictiveAtTemp(post, designRow(temp, modelType, cp1, cp2, extra, regime), days);
     fan.push({
       temp, mean: pred.mean,
       ci50_lo: pred.ci50[0], ci50_hi: pred.ci50[1],
@@ -478,119 +1264,753 @@ export function posteriorPredictiveFan(post, modelType, cp1, cp2, tempMin, tempM
   return fan;
 }
 
+/** Length each reporting period counts for: its days for degree-day families, else 1 */
+function periodScales(modelType, reportingData) {
+  return isDegreeDayModel(modelType)
+    ? reportingData.map(d => d.days ?? AVG_MONTH_DAYS)
+    : reportingData.map(() => 1);
+}
+
 /**
- * Compute savings posterior.
- * Given reporting-period temperatures, compute:
- *   Savings = Σ(Counterfactual - Actual)
- * where Counterfactual uses the posterior predictive.
- * 
- * For the distribution, we use Monte Carlo from the posterior (easy with NIG).
+ * What a savings draw needs from the reporting period. Savings are linear
+ * in β: Σᵢ sᵢx*ᵢᵀβ − Σ actual = x̄ᵀβ − A with x̄ = Σᵢ sᵢx*ᵢ, so given σ²
+ * expected savings are N(x̄ᵀμₙ − A, σ²·x̄ᵀΛₙ⁻¹x̄). One pass over the
+ * periods up front; each draw then costs O(1) however long the period.
  */
-export function savingsPosterior(post, modelType, cp1, cp2, reportingData, nSamples = 5000) {
-  const p = post.muN.length;
-  
-  // Sample from posterior: σ² ~ IG(aₙ, bₙ), β|σ² ~ N(μₙ, σ²Λₙ⁻¹)
-  const samples = [];
-  for (let s = 0; s < nSamples; s++) {
-    // Sample σ² from Inverse-Gamma via Gamma
-    const sigma2 = sampleInvGamma(post.aN, post.bN);
-    
-    // Sample β from N(μₙ, σ²Λₙ⁻¹)
-    const beta = sampleMVN(post.muN, matScale(post.LambdaN_inv, sigma2));
-    
-    // Compute total savings for this sample
-    let totalSavings = 0;
-    for (const d of reportingData) {
-      let xStar;
-      switch (modelType) {
-        case "3PH": xStar = [1, Math.max(0, cp1 - d.temp)]; break;
-        case "3PC": xStar = [1, Math.max(0, d.temp - cp1)]; break;
-        case "5P":  xStar = [1, Math.max(0, cp1 - d.temp), Math.max(0, d.temp - cp2)]; break;
-        default:    xStar = [1, d.temp];
-      }
-      const counterfactual = vecDot(xStar, beta);
-      totalSavings += counterfactual - d.actual;
-    }
-    samples.push(totalSavings);
+function savingsMoments(post, modelType, cp1, cp2, reportingData) {
+  const scales = periodScales(modelType, reportingData);
+  const xSum = Array(post.p).fill(0);
+  let actual = 0;
+  reportingData.forEach((d, i) => {
+    designRow(d.temp, modelType, cp1, cp2, d.extra, d.regime).forEach((v, j) => { xSum[j] += scales[i] * v; });
+    actual += d.actual;
+  });
+  return {
+    mean: vecDot(xSum, post.muN) - actual,
+    quadForm: vecDot(xSum, matVecMul(post.LambdaN_inv, xSum)),
+  };
+}
+
+/**
+ * Variance multiplier Σᵢⱼ √(dᵢdⱼ)·ρ^|i−j| for the sum of period errors,
+ * where period i's error variance is σ²·dᵢ (dᵢ = 1 except for degree-day
+ * families). Unit periods with ρ = 0 give m, i.e. independent periods.
+ */
+function errorSumFactor(scales, rho = 0) {
+  let f = 0, carry = 0;
+  scales.forEach((d, i) => {
+    if (i > 0) carry = rho * (carry + Math.sqrt(scales[i - 1]));
+    f += d + 2 * Math.sqrt(d) * carry;
+  });
+  return f;
+}
+
+/**
+ * Noise multiplier for one posterior's realized savings: its own AR(1) ρ
+ * when it was fitted with one (σ² is then the innovation variance, so the
+ * stationary variance is σ²/(1 − ρ²)), else the stated correlation `rho`.
+ */
+function realizedNoiseFactor(post, scales, rho) {
+  if (post.rho == null) return errorSumFactor(scales, rho);
+  return errorSumFactor(scales, post.rho) / (1 - post.rho ** 2);
+}
+
+/**
+ * One savings draw: σ² ~ IG(aₙ, bₙ), then expected savings given σ² (see
+ * savingsMoments). Realized savings also adds the period-level noise the
+ * baseline model says the meter would have shown anyway: Σεᵢ ~ N(0, σ²·1ᵀR1).
+ */
+function drawSavings(post, moments, noiseFactor, rng) {
+  const sigma2 = sampleInvGamma(post.aN, post.bN, rng);
+  const expected = moments.mean + Math.sqrt(sigma2 * moments.quadForm) * sampleNormal(rng);
+  return { expected, realized: expected + Math.sqrt(sigma2 * noiseFactor) * sampleNormal(rng) };
+}
+
+/**
+ * Monte Carlo standard error of the p-quantile of n sorted i.i.d. draws:
+ * half the spread of the order statistics ±1 binomial SD (√(np(1−p)))
+ * either side of np, which needs no density estimate
+ */
+function quantileMCSE(sorted, p) {
+  const n = sorted.length;
+  const sd = Math.sqrt(n * p * (1 - p));
+  const lo = sorted[Math.max(0, Math.floor(n * p - sd))];
+  const hi = sorted[Math.min(n - 1, Math.ceil(n * p + sd))];
+  return (hi - lo) / 2;
+}
+
+/** Number of sorted values ≤ x */
+function countAtMost(sorted, x) {
+  let lo = 0, hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] <= x) lo = mid + 1; else hi = mid;
   }
+  return lo;
+}
 
+/**
+ * Sort draws and summarise them: mean, median, credible intervals,
+ * histogram, P(savings > 0), and the Monte Carlo standard error of each
+ */
+function summarizeSamples(samples) {
+  const nSamples = samples.length;
   samples.sort((a, b) => a - b);
 
   const mean = samples.reduce((a, b) => a + b, 0) / nSamples;
+  const sd = Math.sqrt(samples.reduce((s, x) => s + (x - mean) ** 2, 0) / (nSamples - 1));
   const ci95 = [samples[Math.floor(nSamples * 0.025)], samples[Math.floor(nSamples * 0.975)]];
   const ci80 = [samples[Math.floor(nSamples * 0.10)], samples[Math.floor(nSamples * 0.90)]];
   const median = samples[Math.floor(nSamples * 0.5)];
+  const probPositive = 1 - countAtMost(samples, 0) / nSamples;
 
-  // Histogram bins
-  const binCount = 50;
+  // Histogram bins; identical draws (e.g. no reporting periods) get a single narrow bin around their value
   const sMin = samples[0], sMax = samples[nSamples - 1];
-  const binWidth = (sMax - sMin) / binCount;
+  const spread = sMax > sMin;
+  const binCount = spread ? 50 : 1;
+  const binWidth = spread ? (sMax - sMin) / binCount : Math.max(Math.abs(sMin) * 1e-6, 1e-9);
+  const start = spread ? sMin : sMin - binWidth / 2;
   const bins = Array.from({ length: binCount }, (_, i) => ({
-    x: sMin + (i + 0.5) * binWidth,
-    lo: sMin + i * binWidth,
-    hi: sMin + (i + 1) * binWidth,
+    x: start + (i + 0.5) * binWidth,
+    lo: start + i * binWidth,
+    hi: start + (i + 1) * binWidth,
     count: 0,
   }));
   for (const s of samples) {
-    const idx = Math.min(Math.floor((s - sMin) / binWidth), binCount - 1);
+    const idx = Math.min(Math.floor((s - start) / binWidth), binCount - 1);
     bins[idx].count++;
   }
   const maxCount = Math.max(...bins.map(b => b.count));
   bins.forEach(b => { b.density = b.count / (nSamples * binWidth); });
 
-  return { samples, mean, median, ci95, ci80, bins, maxCount };
+  return {
+    method: "mc", samples, nSamples, mean, sd, median, ci95, ci80, probPositive, bins, maxCount,
+    mcse: {
+      mean: sd / Math.sqrt(nSamples),
+      median: quantileMCSE(samples, 0.5),
+      ci95: [quantileMCSE(samples, 0.025), quantileMCSE(samples, 0.975)],
+      ci80: [quantileMCSE(samples, 0.10), quantileMCSE(samples, 0.90)],
+      probPositive: Math.sqrt(probPositive * (1 - probPositive) / nSamples),
+    },
+  };
+}
+
+/** Largest Monte Carlo standard error among a summary's mean, median and interval ends */
+function maxMCSE({ mcse }) {
+  return Math.max(mcse.mean, mcse.median, ...mcse.ci95, ...mcse.ci80);
+}
+
+/**
+ * Closed-form summary of a mixture of Student-t components { w, mean,
+ * scale, nu }, in the same shape as summarizeSamples (no draws, no Monte
+ * Carlo error; sd as mixtureSD); `components` is kept for exceedance
+ * probabilities.
+ */
+function summarizeMixture(components, binCount = 50) {
+  const cdf = x => components.reduce((s, c) => s + c.w * studentTCDF(x, c.nu, c.mean, c.scale), 0);
+  const pdf = x => components.reduce((s, c) => s + c.w * studentTPDF(x, c.nu, c.mean, c.scale), 0);
+  const q = p => mixtureQuantile(components, p);
+
+  const mean = components.reduce((s, c) => s + c.w * c.mean, 0);
+
+  // Density over the central 99.8%, binned like the Monte Carlo histogram
+  const lo = q(0.001), hi = q(0.999);
+  const binWidth = (hi - lo) / binCount;
+  const bins = Array.from({ length: binCount }, (_, i) => {
+    const x = lo + (i + 0.5) * binWidth;
+    const density = pdf(x);
+    return { x, lo: lo + i * binWidth, hi: lo + (i + 1) * binWidth, density, count: density * binWidth };
+  });
+
+  return {
+    method: "analytic", components, nSamples: null, mean, sd: mixtureSD(components),
+    median: q(0.5), ci95: [q(0.025), q(0.975)], ci80: [q(0.10), q(0.90)],
+    probPositive: 1 - cdf(0), bins, maxCount: Math.max(...bins.map(b => b.count)), mcse: null,
+  };
+}
+
+/**
+ * P(savings > threshold) from a savings summary: exact for a closed-form
+ * summary, the share of draws above it for a Monte Carlo one
+ */
+export function savingsExceedance(summary, threshold) {
+  if (summary.components) {
+    return 1 - summary.components.reduce((s, c) => s + c.w * studentTCDF(threshold, c.nu, c.mean, c.scale), 0);
+  }
+  return 1 - countAtMost(summary.samples, threshold) / summary.samples.length;
+}
+
+/**
+ * The savings level exceeded with probability `confidence`: the smallest
+ * savings guaranteed at that confidence (0 < confidence < 1), i.e. the
+ * (1 − confidence) quantile
+ */
+export function guaranteedSavings(summary, confidence) {
+  if (!(confidence > 0 && confidence < 1)) throw new Error("The guarantee confidence must lie strictly between 0 and 1");
+  if (summary.components) return mixtureQuantile(summary.components, 1 - confidence);
+  return summary.samples[Math.floor(summary.samples.length * (1 - confidence))];
+}
+
+/** Exceedance curve: P(savings > x) at nPoints thresholds across the summary's histogram range */
+export function exceedanceCurve(summary, nPoints = 100) {
+  const lo = summary.bins[0].lo, hi = summary.bins[summary.bins.length - 1].hi;
+  return Array.from({ length: nPoints }, (_, i) => {
+    const x = lo + (hi - lo) * i / (nPoints - 1);
+    return { x, prob: savingsExceedance(summary, x) };
+  });
+}
+
+/**
+ * Savings that are a fraction f of the counterfactual consumption, given
+ * the actual reporting-period total A: S = f·(A + S), so S = f·A / (1 − f)
+ */
+export function savingsForFraction(fraction, actualTotal) {
+  return fraction * actualTotal / (1 - fraction);
+}
+
+/**
+ * Fractional savings f = S / (A + S), the share of the counterfactual
+ * consumption A + S saved, A the actual reporting-period total. Summarised
+ * draw by draw; in closed form through the change of variables
+ * S = f·A / (1 − f), which is increasing in f, so the quantiles map over
+ * directly and the mean is integrated numerically.
+ *
+ * The ratio only means something for positive use, so it is null
+ * (undefined) when A ≤ 0 (f would no longer increase with S), when a draw
+ * has A + S ≤ 0 or, in closed form, when more than the 1e-4 tail the
+ * integration leaves out lies there.
+ */
+function fractionalSummary(summary, actualTotal, binCount = 50) {
+  const toFraction = sv => sv / (actualTotal + sv);
+  if (actualTotal <= 0) return null;
+  if (!summary.components) {
+    return summary.samples.some(sv => actualTotal + sv <= 0) ? null : summarizeSamples(summary.samples.map(toFraction));
+  }
+
+  const { components } = summary;
+  const cdf = x => components.reduce((s, c) => s + c.w * studentTCDF(x, c.nu, c.mean, c.scale), 0);
+  if (cdf(-actualTotal) > 1e-4) return null;
+  const pdf = x => components.reduce((s, c) => s + c.w * studentTPDF(x, c.nu, c.mean, c.scale), 0);
+  const q = p => toFraction(mixtureQuantile(components, p));
+
+  // Mean and SD by Simpson's rule over the central 99.98% of the savings density
+  const lo = mixtureQuantile(components, 1e-4), hi = mixtureQuantile(components, 1 - 1e-4);
+  const m = 400, h = (hi - lo) / m;
+  let mass = 0, first = 0, second = 0;
+  for (let i = 0; i <= m; i++) {
+    const x = lo + i * h;
+    const d = pdf(x) * (i === 0 || i === m ? 1 : i % 2 ? 4 : 2);
+    const f = toFraction(x);
+    mass += d;
+    first += f * d;
+    second += f * f * d;
+  }
+  const mean = first / mass;
+
+  const fLo = q(0.001), fHi = q(0.999);
+  const binWidth = (fHi - fLo) / binCount;
+  const bins = Array.from({ length: binCount }, (_, i) => {
+    const x = fLo + (i + 0.5) * binWidth;
+    const density = pdf(x * actualTotal / (1 - x)) * actualTotal / (1 - x) ** 2;
+    return { x, lo: fLo + i * binWidth, hi: fLo + (i + 1) * binWidth, density, count: density * binWidth };
+  });
+
+  return {
+    method: "analytic", nSamples: null, mean, sd: Math.sqrt(Math.max(0, second / mass - mean ** 2)),
+    median: q(0.5), ci95: [q(0.025), q(0.975)], ci80: [q(0.10), q(0.90)],
+    probPositive: summary.probPositive, bins, maxCount: Math.max(...bins.map(b => b.count)), mcse: null,
+  };
+}
+
+/**
+ * Savings summaries over weighted candidates { post, w, moments, noiseFactor }.
+ *
+ * Given its reporting-period moments, a candidate's expected savings are
+ * exactly t_{2aₙ}(x̄ᵀμₙ − A, bₙ/aₙ · x̄ᵀΛₙ⁻¹x̄) with σ² integrated out, and
+ * realized savings add noiseFactor to the variance factor; so method
+ * "analytic" summarises the mixture of those t's in closed form. Otherwise
+ * draws are made (Monte Carlo); with a `tolerance`, the sample doubles from
+ * nSamples until every reported statistic's Monte Carlo standard error is
+ * at most tolerance × the posterior SD, or maxSamples is reached.
+ *
+ * When every reporting period has its actual use, each summary also carries
+ * `fraction`, the posterior of fractional savings (see fractionalSummary;
+ * null where the counterfactual may not be positive).
+ *
+ * Non-routine adjustments (options.adjustments) add their net amount to
+ * every draw. A certain one only shifts the t's; an uncertain one's normal
+ * convolved with a t has no closed form, so it is always drawn.
+ */
+function savingsFromCandidates(candidates, reportingData, nSamples, options) {
+  const adjustment = netAdjustment(options.adjustments);
+  const { exp, real } = options.method === "analytic" && !adjustment.sd
+    ? analyticSavings(candidates, adjustment.mean)
+    : sampledSavings(candidates, nSamples, options, adjustment);
+  const withAdjustment = { ...exp, adjustment: adjustment.count ? adjustment : null };
+  if (!reportingData.every(d => Number.isFinite(d.actual))) return { ...withAdjustment, realized: real };
+  const actualTotal = reportingData.reduce((s, d) => s + d.actual, 0);
+  return {
+    ...withAdjustment, fraction: fractionalSummary(exp, actualTotal),
+    realized: { ...real, fraction: fractionalSummary(real, actualTotal) },
+  };
+}
+
+/** Closed-form expected and realized savings: the candidates' Student-t mixtures, shifted by `offset` */
+function analyticSavings(candidates, offset = 0) {
+  const mixture = realized => candidates.map(({ post, w, moments, noiseFactor }) => ({
+    w, mean: moments.mean + offset, nu: 2 * post.aN,
+    scale: Math.sqrt((post.bN / post.aN) * (moments.quadForm + (realized ? noiseFactor : 0))),
+  }));
+  return { exp: summarizeMixture(mixture(false)), real: summarizeMixture(mixture(true)) };
+}
+
+/** Picks a candidate with probability proportional to its weight `w` */
+function candidatePicker(candidates) {
+  if (candidates.length === 1) return () => candidates[0];
+  const cumWeights = [];
+  candidates.reduce((cum, c) => { cumWeights.push(cum + c.w); return cum + c.w; }, 0);
+  return rng => {
+    const u = rng() * cumWeights[cumWeights.length - 1];
+    let k = 0;
+    while (k < cumWeights.length - 1 && cumWeights[k] < u) k++;
+    return candidates[k];
+  };
+}
+
+/**
+ * Summaries of Monte Carlo draws, `draw(rng)` giving one value per output.
+ * With options.tolerance the sample doubles from nSamples until every
+ * output's Monte Carlo standard errors are within tolerance × its SD, or
+ * options.maxSamples is reached.
+ */
+function sampleUntilPrecise(draw, nOutputs, nSamples, options) {
+  const rng = seededRng(options.seed);
+  const { tolerance = null, maxSamples = 200000 } = options;
+  const draws = Array.from({ length: nOutputs }, () => []);
+  for (let target = nSamples; ; target = Math.min(maxSamples, 2 * target)) {
+    while (draws[0].length < target) draw(rng).forEach((v, k) => draws[k].push(v));
+    const summaries = draws.map(d => summarizeSamples(d));
+    const precise = tolerance != null && summaries.every(sm => maxMCSE(sm) <= tolerance * sm.sd);
+    if (tolerance == null || precise || target >= maxSamples) {
+      const status = { tolerance, converged: tolerance == null ? null : precise };
+      return summaries.map(sm => ({ ...sm, ...status }));
+    }
+  }
+}
+
+/**
+ * Expected and realized savings draws, adaptive when options.tolerance is
+ * set, each with one draw of the net adjustment (see netAdjustment) added
+ */
+function sampledSavings(candidates, nSamples, options, adjustment) {
+  const pick = candidatePicker(candidates);
+  const [exp, real] = sampleUntilPrecise(rng => {
+    const c = pick(rng);
+    const d = drawSavings(c.post, c.moments, c.noiseFactor, rng);
+    const a = adjustment.sd ? adjustment.mean + adjustment.sd * sampleNormal(rng) : adjustment.mean;
+    return [d.expected + a, d.realized + a];
+  }, 2, nSamples, options);
+  return { exp, real };
+}
+
+/**
+ * Compute savings posterior.
+ * Given reporting-period temperatures, compute:
+ *   Savings = Σ(Counterfactual - Actual)
+ * where Counterfactual uses the posterior predictive.
+ * 
+ * For the distribution, we use Monte Carlo from the posterior (easy with
+ * NIG), or the exact Student-t it comes to (method "analytic").
+ *
+ * The returned summary is for expected savings (parameter uncertainty
+ * only); `realized` summarises the same draws with period noise added.
+ * Monte Carlo summaries carry `mcse`, the Monte Carlo standard error of the
+ * mean, median, interval ends and P(savings > 0). With the reporting
+ * rows' `actual` use, `fraction` (and `realized.fraction`) summarise
+ * fractional savings, savings ÷ counterfactual, computed per draw.
+ *
+ * @param {object} [options]
+ *   - rho: correlation between consecutive reporting-period errors (default 0);
+ *     ignored for a posterior fitted with AR(1) errors, which uses its own ρ
+ *   - seed: seed for the draws (see createRng); the same seed gives the same
+ *     draws, and so identical figures. Unseeded runs use Math.random.
+ *   - method: "mc" (default) or "analytic" (closed form, no draws)
+ *   - tolerance: adaptive Monte Carlo — keep drawing until every Monte Carlo
+ *     standard error is at most tolerance × the posterior SD (e.g. 0.01)
+ *   - maxSamples: cap on adaptive draws (default 200,000)
+ *   - adjustments: non-routine adjustments [{ label, mean, sd }] to the
+ *     counterfactual, in energy over the whole reporting period (see
+ *     netAdjustment); the summary's `adjustment` is their net { mean, sd, count }
+ */
+export function savingsPosterior(post, modelType, cp1, cp2, reportingData, nSamples = 5000, options = {}) {
+  const noiseFactor = realizedNoiseFactor(post, periodScales(modelType, reportingData), options.rho || 0);
+  const moments = savingsMoments(post, modelType, cp1, cp2, reportingData);
+  return savingsFromCandidates([{ post, w: 1, moments, noiseFactor }], reportingData, nSamples, options);
+}
+
+// ──────────────────────────────────────────────────────────────
+// Bayesian model averaging over change points
+// ──────────────────────────────────────────────────────────────
+
+/**
+ * Candidates carrying `mass` of the change-point posterior (at most
+ * `maxCount`), each with a renormalised `weight`. The long tail of
+ * near-zero candidates changes nothing visible but costs a full
+ * predictive evaluation each.
+ */
+export function topCandidates(cpResults, mass = 0.999, maxCount = 50) {
+  const sorted = [...cpResults].sort((a, b) => b.posterior - a.posterior);
+  const kept = [];
+  let cum = 0;
+  for (const r of sorted) {
+    kept.push(r);
+    cum += r.posterior;
+    if (cum >= mass || kept.length >= maxCount) break;
+  }
+  return kept.map(r => ({ ...r, weight: r.posterior / cum }));
+}
+
+/** Quantile of a mixture of Student-t components { w, mean, scale, nu } via bisection */
+function mixtureQuantile(components, p) {
+  // The mixture quantile lies between the smallest and largest component quantiles
+  const stdQ = {};
+  let lo = Infinity, hi = -Infinity, minScale = Infinity;
+  for (const c of components) {
+    if (stdQ[c.nu] == null) stdQ[c.nu] = studentTQuantile(p, c.nu);
+    const q = c.mean + stdQ[c.nu] * c.scale;
+    lo = Math.min(lo, q);
+    hi = Math.max(hi, q);
+    minScale = Math.min(minScale, c.scale);
+  }
+  while (hi - lo > 1e-4 * minScale) {
+    const mid = (lo + hi) / 2;
+    const cdf = components.reduce((s, c) => s + c.w * studentTCDF(mid, c.nu, c.mean, c.scale), 0);
+    if (cdf < p) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * Standard deviation of a mixture of Student-t components { w, mean,
+ * scale, nu }. A component with ν ≤ 2 has no variance, and then the
+ * quantile-based spread stands in: half the width of the central 68.27%,
+ * which is the SD for a normal.
+ */
+function mixtureSD(components) {
+  if (components.some(c => c.nu <= 2)) {
+    return (mixtureQuantile(components, 0.841345) - mixtureQuantile(components, 0.158655)) / 2;
+  }
+  const mean = components.reduce((s, c) => s + c.w * c.mean, 0);
+  const second = components.reduce((s, c) => s + c.w * (c.scale ** 2 * c.nu / (c.nu - 2) + c.mean ** 2), 0);
+  return Math.sqrt(Math.max(0, second - mean ** 2));
+}
+
+/**
+ * Posterior predictive fan averaged over change-point uncertainty.
+ * p(y*|y) = Σₖ P(cpₖ|y) · t_{2aₙ}(x*(cpₖ)ᵀμₙ, …) — a mixture of Student-t's,
+ * so the bands are mixture quantiles rather than a single t's.
+ */
+export function modelAveragedPredictiveFan(cpResults, modelType, tempMin, tempMax, nPoints = 100, extra = null, regime = null) {
+  const candidates = topCandidates(cpResults);
+  const days = isDegreeDayModel(modelType) ? AVG_MONTH_DAYS : null;
+  const fan = [];
+  for (let i = 0; i < nPoints; i++) {
+    const temp = tempMin + (tempMax - tempMin) * i / (nPoints - 1);
+    const components = candidates.map(r => ({
+      w: r.weight,
+      ...predictiveParams(r.post, designRow(temp, modelType, r.cp, r.cp2, extra, regime), days),
+    }));
+    const q = p => mixtureQuantile(components, p);
+    fan.push({
+      temp, mean: components.reduce((s, c) => s + c.w * c.mean, 0),
+      ci50_lo: q(0.25), ci50_hi: q(0.75),
+      ci80_lo: q(0.10), ci80_hi: q(0.90),
+      ci95_lo: q(0.025), ci95_hi: q(0.975),
+    });
+  }
+  return fan;
+}
+
+/**
+ * Savings posterior averaged over change-point uncertainty.
+ * Each draw first picks a change point with probability P(cpₖ|y), then
+ * draws (σ², β) from that candidate's NIG posterior; in closed form it is
+ * the mixture of the candidates' t's. Options and return shape as for
+ * savingsPosterior.
+ */
+export function modelAveragedSavings(cpResults, modelType, reportingData, nSamples = 5000, options = {}) {
+  const scales = periodScales(modelType, reportingData);
+  const candidates = topCandidates(cpResults).map(r => ({
+    post: r.post,
+    w: r.weight,
+    moments: savingsMoments(r.post, modelType, r.cp, r.cp2, reportingData),
+    noiseFactor: realizedNoiseFactor(r.post, scales, options.rho || 0),
+  }));
+  return savingsFromCandidates(candidates, reportingData, nSamples, options);
+}
+
+// ──────────────────────────────────────────────────────────────
+// Baseline vs. reporting-period models
+// ──────────────────────────────────────────────────────────────
+
+/**
+ * Savings as the difference of two models of one family: the baseline and
+ * a reporting-period model, each averaged over its own change-point
+ * posterior, predict consumption for the same `periods` (rows { temp,
+ * days?, extra?, regime? }); savings are baseline − reporting. On the
+ * reporting periods themselves this replaces the actual use with the
+ * reporting model's fit; on a standard year (typical-year or 30-year
+ * normal monthly temperatures) it gives weather-normalized savings, as
+ * IPMVP Option C allows.
+ *
+ * The two periods' data are disjoint, so their posteriors are independent
+ * and each draw pairs one draw from each. A difference of two t mixtures
+ * has no closed form, so this always draws (method "analytic" is ignored);
+ * other options as for savingsPosterior.
+ *
+ * @returns the savings summary, its `fraction` (savings ÷ the baseline's
+ *   predicted use, per draw; null if that use can be ≤ 0) and the two
+ *   models' posterior mean predicted use, baselineTotal and reportingTotal
+ */
+export function modelDifferenceSavings(baselineResults, reportingResults, modelType, periods, nSamples = 5000, options = {}) {
+  // With no actual use to subtract, the savings moments are those of the predicted total
+  const year = periods.map(d => ({ ...d, actual: 0 }));
+  const candidates = cpResults => topCandidates(cpResults).map(r => ({
+    post: r.post, w: r.weight, moments: savingsMoments(r.post, modelType, r.cp, r.cp2, year),
+  }));
+  const baseline = candidates(baselineResults), reporting = candidates(reportingResults);
+  const pickBaseline = candidatePicker(baseline), pickReporting = candidatePicker(reporting);
+  const drawTotal = (c, rng) => drawSavings(c.post, c.moments, 0, rng).expected;
+
+  // The fraction is undefined once a draw's counterfactual use is not positive
+  // (as in fractionalSummary); such draws stand in as 0 until then
+  let positive = true;
+  const [savings, fraction] = sampleUntilPrecise(rng => {
+    const b = drawTotal(pickBaseline(rng), rng);
+    const r = drawTotal(pickReporting(rng), rng);
+    if (b <= 0) positive = false;
+    return [b - r, b > 0 ? (b - r) / b : 0];
+  }, 2, nSamples, options);
+
+  const meanTotal = cands => cands.reduce((s, c) => s + c.w * c.moments.mean, 0);
+  return {
+    ...savings, fraction: positive ? fraction : null,
+    baselineTotal: meanTotal(baseline), reportingTotal: meanTotal(reporting),
+  };
+}
+
+/**
+ * Parameter shifts between two independently fitted models of one family,
+ * e.g. baseline and reporting period: the posterior of reporting − baseline
+ * for every coefficient and change point, each model averaged over its own
+ * change points. Coefficient j's marginal is drawn as σ² ~ IG(aₙ, bₙ),
+ * βⱼ | σ² ~ N(μₙⱼ, σ²·(Λₙ⁻¹)ⱼⱼ); options as for savingsPosterior's draws.
+ *
+ * @returns { coefficients, cp, cp2 }, each entry { baseline, reporting,
+ *   shift }: the two posterior means and a summary of the shift's draws
+ *   (cp and cp2 are null where the family has no such change point)
+ */
+export function parameterShifts(baselineResults, reportingResults, modelType, nSamples = 5000, options = {}) {
+  const cpKeys = !hasChangePoint(modelType) ? [] : modelShape(modelType) === "5P" ? ["cp", "cp2"] : ["cp"];
+  const [baseline, reporting] = [baselineResults, reportingResults].map(cpResults => topCandidates(cpResults).map(r => ({ ...r, w: r.weight })));
+  const pickBaseline = candidatePicker(baseline), pickReporting = candidatePicker(reporting);
+  const p = baseline[0].post.p;
+
+  const drawParameters = (c, rng) => {
+    const sigma2 = sampleInvGamma(c.post.aN, c.post.bN, rng);
+    return [
+      ...c.post.muN.map((m, j) => m + Math.sqrt(sigma2 * c.post.LambdaN_inv[j][j]) * sampleNormal(rng)),
+      ...cpKeys.map(k => c[k]),
+    ];
+  };
+  const shifts = sampleUntilPrecise(rng => {
+    const b = drawParameters(pickBaseline(rng), rng);
+    const r = drawParameters(pickReporting(rng), rng);
+    return r.map((v, j) => v - b[j]);
+  }, p + cpKeys.length, nSamples, options);
+
+  const posteriorMean = (cands, value) => cands.reduce((s, c) => s + c.w * value(c), 0);
+  const entry = (j, value) => ({ baseline: posteriorMean(baseline, value), reporting: posteriorMean(reporting, value), shift: shifts[j] });
+  return {
+    coefficients: Array.from({ length: p }, (_, j) => entry(j, c => c.post.muN[j])),
+    cp: cpKeys[0] ? entry(p, c => c.cp) : null,
+    cp2: cpKeys[1] ? entry(p + 1, c => c.cp2) : null,
+  };
+}
+
+// ──────────────────────────────────────────────────────────────
+// Non-routine events
+// ──────────────────────────────────────────────────────────────
+
+/**
+ * Posterior-predictive check of each reporting period ({ temp, actual,
+ * days?, extra?, regime? }) against the baseline. A period's predictive is
+ * predictiveAtTemp's Student-t, averaged over the change-point posterior;
+ * its tail probability is 2·min(F, 1 − F), F the predictive CDF at the
+ * actual use. A small one says the baseline can't account for the period:
+ * a candidate non-routine event (added floor area, new equipment, a
+ * closure).
+ *
+ * @returns per period { mean, sd (see mixtureSD; finite, as levelShiftTest
+ *   weighs by it), residual (actual − mean), tailProb, outlier (tailProb < alpha) }
+ */
+export function outlierScores(cpResults, modelType, periods, alpha = 0.05) {
+  const candidates = topCandidates(cpResults);
+  const scales = periodScales(modelType, periods);
+  return periods.map((d, i) => {
+    const components = candidates.map(r => ({
+      w: r.weight,
+      ...predictiveParams(r.post, designRow(d.temp, modelType, r.cp, r.cp2, d.extra, d.regime), scales[i]),
+    }));
+    const mean = components.reduce((s, c) => s + c.w * c.mean, 0);
+    const F = components.reduce((s, c) => s + c.w * studentTCDF(d.actual, c.nu, c.mean, c.scale), 0);
+    const tailProb = Math.min(1, 2 * Math.min(F, 1 - F));
+    return { mean, sd: mixtureSD(components), residual: d.actual - mean, tailProb, outlier: tailProb < alpha };
+  });
+}
+
+/**
+ * Bayesian test for a level shift in the reporting periods: use that steps
+ * up or down part-way through and stays there. The residuals rᵢ of
+ * outlierScores, weighted by their predictive variances vᵢ, are fitted as
+ *   no shift:     rᵢ = α + γ·(ŷᵢ − ȳ) + εᵢ
+ *   shift at k:   rᵢ = α + γ·(ŷᵢ − ȳ) + δ·1[i ≥ k] + εᵢ,     εᵢ ~ N(0, σ²vᵢ)
+ * where ŷᵢ is the period's predicted use (ȳ their mean). α and γ take up
+ * savings — a constant amount and a share of the load — so only a change
+ * within the period counts as a shift. NIG priors: α ~ N(0, σ²v̄),
+ * γ ~ N(0, σ²/4), δ ~ N(0, 9σ²v̄) (v̄ the mean predictive variance, so
+ * shifts of a few predictive SDs) and σ² ~ IG(3, 2), whose mean 1 says the
+ * baseline's predictive is about right. `priorProbShift` of the prior is
+ * spread evenly over the starts k = 1 … m − 1, the rest is on no shift,
+ * and each hypothesis is weighed by its marginal likelihood.
+ *
+ * @returns {{ probShift, logBF, starts, start, nAfter, shift }} P(shift | r);
+ *   the log Bayes factor of a shift (at an unknown start) against none;
+ *   [{ index, probability }] for each start, probabilities summing to
+ *   probShift; the most probable start and the number of periods from it
+ *   on; and the shift's posterior at that start, { mean, sd, ci95 }, in
+ *   energy per period
+ */
+export function levelShiftTest(scores, priorProbShift = 0.5) {
+  const m = scores.length;
+  if (m < 3) throw new Error("A level-shift test needs at least 3 periods");
+  const w = scores.map(s => 1 / s.sd ** 2);
+  const r = scores.map(s => s.residual);
+  const yBar = scores.reduce((s, sc) => s + sc.mean, 0) / m;
+  const yc = scores.map(s => s.mean - yBar);
+  const vBar = scores.reduce((s, sc) => s + sc.sd ** 2, 0) / m;
+  const sum = f => w.reduce((s, wi, i) => s + wi * f(i), 0);
+
+  // Sufficient statistics of the weighted rows; the shift column is 1 from k on, so its sums are suffix sums
+  const [W, Wy, Wyy, Wr, Wyr, Wrr] = [() => 1, i => yc[i], i => yc[i] ** 2, i => r[i], i => yc[i] * r[i], i => r[i] ** 2].map(sum);
+  const none = bayesianRegressionFromStats(
+    { XtX: [[W, Wy], [Wy, Wyy]], Xty: [Wr, Wyr], yty: Wrr, n: m }, [0, 0], [[1 / vBar, 0], [0, 4]], 3, 2);
+  const Lambda0 = [[1 / vBar, 0, 0], [0, 4, 0], [0, 0, 1 / (9 * vBar)]];
+  const fits = [];
+  let T = 0, Ty = 0, Tr = 0;
+  for (let k = m - 1; k >= 1; k--) {
+    T += w[k];
+    Ty += w[k] * yc[k];
+    Tr += w[k] * r[k];
+    const XtX = [[W, Wy, T], [Wy, Wyy, Ty], [T, Ty, T]];
+    fits.unshift({ index: k, post: bayesianRegressionFromStats({ XtX, Xty: [Wr, Wyr, Tr], yty: Wrr, n: m }, [0, 0, 0], Lambda0, 3, 2) });
+  }
+
+  const logNone = Math.log(1 - priorProbShift) + none.logML;
+  const logStarts = fits.map(f => Math.log(priorProbShift / (m - 1)) + f.post.logML);
+  const logZ = logSumExp([logNone, ...logStarts]);
+  const starts = fits.map((f, j) => ({ index: f.index, probability: Math.exp(logStarts[j] - logZ) }));
+  const best = fits[starts.reduce((b, s, j) => (s.probability > starts[b].probability ? j : b), 0)];
+
+  const { post } = best;
+  const nu = 2 * post.aN;
+  const scale = Math.sqrt((post.bN / post.aN) * post.LambdaN_inv[2][2]);
+  return {
+    probShift: 1 - Math.exp(logNone - logZ),
+    logBF: logSumExp(fits.map(f => f.post.logML)) - Math.log(m - 1) - none.logML,
+    starts, start: best.index, nAfter: m - best.index,
+    shift: {
+      mean: post.muN[2], sd: scale * Math.sqrt(nu / (nu - 2)),
+      ci95: [studentTQuantile(0.025, nu, post.muN[2], scale), studentTQuantile(0.975, nu, post.muN[2], scale)],
+    },
+  };
+}
+
+/**
+ * Net effect of non-routine adjustments [{ label, mean, sd }], each an
+ * independent normal amount of energy over the reporting period added to
+ * the counterfactual (positive for added load the baseline doesn't know
+ * about): means add, and so do variances
+ */
+function netAdjustment(adjustments = []) {
+  return {
+    mean: adjustments.reduce((s, a) => s + a.mean, 0),
+    sd: Math.sqrt(adjustments.reduce((s, a) => s + (a.sd || 0) ** 2, 0)),
+    count: adjustments.length,
+  };
 }
 
 // ──────────────────────────────────────────────────────────────
 // Random sampling utilities
 // ──────────────────────────────────────────────────────────────
 
-function sampleNormal() {
+/**
+ * Seedable uniform generator on [0, 1) (mulberry32). The same 32-bit seed
+ * gives the same stream in every browser, so a reported savings interval
+ * can be regenerated exactly from its seed. Samplers take one as `rng`.
+ */
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** A fresh random 32-bit seed */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+/** Generator for an optional seed: seeded when given one, else Math.random */
+function seededRng(seed) {
+  return seed == null ? Math.random : createRng(seed);
+}
+
+function sampleNormal(rng = Math.random) {
   // Box-Muller
   let u = 0, v = 0;
-  while (u === 0) u = Math.random();
-  while (v === 0) v = Math.random();
+  while (u === 0) u = rng();
+  while (v === 0) v = rng();
   return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
 }
 
-function sampleGamma(shape, scale = 1) {
+function sampleGamma(shape, scale = 1, rng = Math.random) {
   // Marsaglia and Tsang's method
   if (shape < 1) {
-    return sampleGamma(shape + 1, scale) * Math.pow(Math.random(), 1 / shape);
+    return sampleGamma(shape + 1, scale, rng) * Math.pow(rng(), 1 / shape);
   }
   const d = shape - 1 / 3;
   const c = 1 / Math.sqrt(9 * d);
   while (true) {
     let x, v;
     do {
-      x = sampleNormal();
+      x = sampleNormal(rng);
       v = 1 + c * x;
     } while (v <= 0);
     v = v * v * v;
-    const u = Math.random();
+    const u = rng();
     if (u < 1 - 0.0331 * x * x * x * x) return d * v * scale;
     if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v * scale;
   }
 }
 
-function sampleInvGamma(a, b) {
-  return b / sampleGamma(a, 1);
-}
-
-function sampleMVN(mu, Sigma) {
-  // Cholesky decomposition
-  const n = mu.length;
-  const L = Array.from({ length: n }, () => Array(n).fill(0));
-  for (let i = 0; i < n; i++) {
-    for (let j = 0; j <= i; j++) {
-      let s = Sigma[i][j];
-      for (let k = 0; k < j; k++) s -= L[i][k] * L[j][k];
-      L[i][j] = i === j ? Math.sqrt(Math.max(s, 1e-15)) : s / L[j][j];
-    }
-  }
-  // z ~ N(0, I), then μ + Lz ~ N(μ, Σ)
-  const z = Array.from({ length: n }, () => sampleNormal());
-  return mu.map((m, i) => m + L[i].reduce((s, l, j) => s + l * z[j], 0));
+function sampleInvGamma(a, b, rng = Math.random) {
+  return b / sampleGamma(a, 1, rng);
 }
 
 // ──────────────────────────────────────────────────────────────
@@ -599,15 +2019,7 @@ function sampleMVN(mu, Sigma) {
 
 export function fitOLS(X, y) {
   const n = y.length, p = X[0].length;
-  const XtX = Array.from({ length: p }, () => Array(p).fill(0));
-  for (let i = 0; i < n; i++)
-    for (let j = 0; j < p; j++)
-      for (let k = 0; k < p; k++)
-        XtX[j][k] += X[i][j] * X[i][k];
-  const Xty = Array(p).fill(0);
-  for (let i = 0; i < n; i++)
-    for (let j = 0; j < p; j++)
-      Xty[j] += X[i][j] * y[i];
+  const { XtX, Xty } = crossProducts(X, y);
 
   const inv = matInvert(XtX);
   if (!inv) return null;
@@ -632,14 +2044,24 @@ export function fitOLS(X, y) {
   };
 }
 
-export function fitOLSWithCP(temps, energy, modelType) {
+export function fitOLSWithCP(temps, energy, modelType, days = null, extra = null, regimes = null) {
   const tMin = Math.min(...temps), tMax = Math.max(...temps);
-  
-  if (modelType === "3PH") {
+  const shape = modelShape(modelType);
+  // Degree-day families: weighted least squares on consumption per day
+  const scaling = isDegreeDayModel(modelType) ? dayScaling(days, energy) : null;
+  const fit = X => scaling
+    ? fitOLS(X.map((row, i) => row.map(v => v * scaling.sqrt[i])), scaling.y)
+    : fitOLS(X, energy);
+
+  if (!hasChangePoint(modelType)) {
+    const r = fit(buildDesignMatrix(temps, modelType, null, null, extra, regimes));
+    return r ? { ...r, cp: null } : null;
+  }
+  if (shape === "3PH") {
     let best = null, bestSS = Infinity;
     for (let cp = tMin + 3; cp <= tMax - 3; cp += 0.5) {
-      const X = buildDesignMatrix(temps, "3PH", cp);
-      const r = fitOLS(X, energy);
+      const X = buildDesignMatrix(temps, shape, cp, null, extra, regimes);
+      const r = fit(X);
       if (r && r.R2 > 0 && vecDot(r.residuals, r.residuals) < bestSS && r.beta[1] > 0) {
         bestSS = vecDot(r.residuals, r.residuals);
         best = { ...r, cp };
@@ -647,11 +2069,11 @@ export function fitOLSWithCP(temps, energy, modelType) {
     }
     return best;
   }
-  if (modelType === "3PC") {
+  if (shape === "3PC") {
     let best = null, bestSS = Infinity;
     for (let cp = tMin + 3; cp <= tMax - 3; cp += 0.5) {
-      const X = buildDesignMatrix(temps, "3PC", cp);
-      const r = fitOLS(X, energy);
+      const X = buildDesignMatrix(temps, shape, cp, null, extra, regimes);
+      const r = fit(X);
       if (r && r.R2 > 0 && vecDot(r.residuals, r.residuals) < bestSS && r.beta[1] > 0) {
         bestSS = vecDot(r.residuals, r.residuals);
         best = { ...r, cp };
@@ -659,12 +2081,25 @@ export function fitOLSWithCP(temps, energy, modelType) {
     }
     return best;
   }
-  if (modelType === "5P") {
+  if (shape === "4P") {
+    // No sign constraint: either side of Tcp may slope up or down
+    let best = null, bestSS = Infinity;
+    for (let cp = tMin + 3; cp <= tMax - 3; cp += 0.5) {
+      const X = buildDesignMatrix(temps, shape, cp, null, extra, regimes);
+      const r = fit(X);
+      if (r && r.R2 > 0 && vecDot(r.residuals, r.residuals) < bestSS) {
+        bestSS = vecDot(r.residuals, r.residuals);
+        best = { ...r, cp };
+      }
+    }
+    return best;
+  }
+  if (shape === "5P") {
     let best = null, bestSS = Infinity;
     for (let cph = tMin + 4; cph <= tMax - 10; cph += 1) {
       for (let cpc = cph + 6; cpc <= tMax - 4; cpc += 1) {
-        const X = buildDesignMatrix(temps, "5P", cph, cpc);
-        const r = fitOLS(X, energy);
+        const X = buildDesignMatrix(temps, shape, cph, cpc, extra, regimes);
+        const r = fit(X);
         if (r && r.R2 > 0 && vecDot(r.residuals, r.residuals) < bestSS && r.beta[1] > 0 && r.beta[2] > 0) {
           bestSS = vecDot(r.residuals, r.residuals);
           best = { ...r, cph, cpc };
@@ -680,21 +2115,67 @@ export function fitOLSWithCP(temps, energy, modelType) {
 // Default / smart priors
 // ──────────────────────────────────────────────────────────────
 
+/** Columns of an n × k extra-regressor matrix (none if null) */
+function extraColumns(extra) {
+  if (!extra || extra.length === 0) return [];
+  return extra[0].map((_, j) => extra.map(row => row[j]));
+}
+
 /**
  * Generate sensible default priors based on the dataset.
  * This gives learners a reasonable starting point.
  */
-export function defaultPriors(temps, energy, modelType) {
-  const yMean = energy.reduce((a, b) => a + b, 0) / energy.length;
-  const ySD = Math.sqrt(energy.reduce((s, e) => s + (e - yMean) ** 2, 0) / energy.length);
+export function defaultPriors(temps, energy, modelType, days = null, extra = null, regimes = null) {
+  if (isDegreeDayModel(modelType)) {
+    // Per-day coefficients: the base shape's defaults on consumption per day;
+    // σ² is per day too, since Var(E/d) = σ²/d
+    const d = days ?? energy.map(() => AVG_MONTH_DAYS);
+    const dMean = d.reduce((a, b) => a + b, 0) / d.length;
+    const perDay = defaultPriors(temps, energy.map((e, i) => e / d[i]), modelShape(modelType), null, extra, regimes);
+    return { ...perDay, noiseB: Math.max(1, Math.round(perDay.noiseB * dMean)) };
+  }
+
+  const n = energy.length;
+  const yMean = energy.reduce((a, b) => a + b, 0) / n;
+  const ySD = Math.sqrt(energy.reduce((s, e) => s + (e - yMean) ** 2, 0) / n);
+  const tMean = temps.reduce((a, b) => a + b, 0) / n;
   const tRange = Math.max(...temps) - Math.min(...temps);
+  const slope = Math.round(ySD / tRange * 2); // rough: how much energy changes per degree
+  const slopeSD = Math.max(1, Math.round(ySD / tRange * 10));
+
+  // 2P slopes can go either way: take the sign of the energy–temperature covariance
+  const cov = temps.reduce((s, t, i) => s + (t - tMean) * (energy[i] - yMean), 0);
+  const slope2P = cov < 0 ? -slope : slope;
+
+  // Regime shifts: centred on "same as the reference regime", as uncertain as the term itself
+  const baseloadSD = Math.round(Math.max(yMean, 2 * ySD));
+  const termSD = [baseloadSD, slopeSD, slopeSD].slice(0, temperatureTerms(0, modelType, 0, 0).length);
+  const regime = regimes?.[0];
 
   return {
-    baseload: Math.round(yMean * 0.5), // rough guess: half the mean
-    slope: Math.round(ySD / tRange * 2),  // rough: how much energy changes per degree
-    slope2: Math.round(ySD / tRange * 2), // for 5P
-    strength: 0.001, // weak prior — let data dominate
+    baseload: modelType === "2P"
+      ? Math.round(yMean - slope2P * tMean) // rough: line through the mean, read at 0°F
+      : modelType === "TOWT" ? Math.round(yMean) // no view on the weekly shape: flat at the mean
+      : Math.round(yMean * 0.5), // rough guess: half the mean
+    slope: modelType === "2P" ? slope2P : modelType === "TOWT" ? 0 : slope, // TOWT segments may slope either way
+    slope2: modelType === "4P" ? 0 : slope, // 4P: no view on the slope above Tcp; 5P: cooling slope
+    // Weak priors — let data dominate
+    baseloadSD,
+    slopeSD,
+    slope2SD: slopeSD,
+    corr: null,
+    cpPrior: null,   // flat over the change-point grid
+    cp2Prior: null,
+    ar1: null,       // independent errors
     noiseA: 3,       // weakly informative
     noiseB: Math.round(ySD * ySD), // center near observed variance
+    regimes: regime ? regime.dummies.flatMap(() => (regime.slopes ? termSD : termSD.slice(0, 1)).map(sd => ({ mean: 0, sd }))) : [],
+    // Extra regressors: centred on no effect, wide enough that a 1-SD change
+    // in the variable could move energy by ±2 SD
+    extra: extraColumns(extra).map(col => {
+      const m = col.reduce((a, b) => a + b, 0) / n;
+      const sd = Math.sqrt(col.reduce((s, v) => s + (v - m) ** 2, 0) / n);
+      return { mean: 0, sd: Number((2 * ySD / (sd || 1)).toPrecision(2)) };
+    }),
   };
 }
@@ -0,0 +1,316 @@
+/**
+ * Meter Data Import
+ *
+ * Turns pasted or uploaded CSV/TSV text into the row shape the workbench
+ * and engine consume: { month, temp, energy, days?, vars?, regime? }, where
+ * `vars` holds extra independent variables (occupancy, production…) by name
+ * and `regime` tags the period's schedule/season regime ("in session"…).
+ *
+ * Period labels may be billing months or, for daily/hourly interval (AMI)
+ * data, timestamps; see parseTimestamp and detectInterval.
+ *
+ * Parsing is deliberately forgiving (delimiter sniffing, quoted fields,
+ * thousands separators); validation is strict and reported row by row so
+ * the user can see exactly which periods were dropped and why.
+ */
+
+// ──────────────────────────────────────────────────────────────
+// Parsing
+// ──────────────────────────────────────────────────────────────
+
+const DELIMITERS = ["\t", ",", ";"];
+
+/** Pick the delimiter that splits the header line into the most fields */
+function sniffDelimiter(text) {
+  const firstLine = text.split(/\r?\n/).find(l => l.trim() !== "") || "";
+  let best = ",", bestCount = 0;
+  for (const d of DELIMITERS) {
+    const count = splitLine(firstLine, d).length;
+    if (count > bestCount) { best = d; bestCount = count; }
+  }
+  return best;
+}
+
+/** Split one line on a delimiter, honouring double-quoted fields */
+function splitLine(line, delimiter) {
+  const fields = [];
+  let field = "", inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (inQuotes) {
+      if (ch === '"' && line[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else field += ch;
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      fields.push(field);
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields.map(f => f.trim());
+}
+
+/**
+ * Parse delimited text with a header row.
+ *
+ * @param {string} text - Raw CSV/TSV contents
+ * @returns {{ headers: string[], rows: string[][], delimiter: string }}
+ */
+export function parseDelimited(text) {
+  const delimiter = sniffDelimiter(text);
+  const lines = text.split(/\r?\n/).filter(l => l.trim() !== "");
+  if (lines.length === 0) return { headers: [], rows: [], delimiter };
+
+  const headers = splitLine(lines[0], delimiter).map((h, i) => h || `Column ${i + 1}`);
+  const rows = lines.slice(1).map(l => splitLine(l, delimiter));
+  return { headers, rows, delimiter };
+}
+
+/**
+ * Parse a numeric cell. Accepts thousands separators ("4,820") and
+ * surrounding whitespace; returns NaN for anything else.
+ */
+export function parseNumber(str) {
+  if (str == null) return NaN;
+  const s = String(str).trim();
+  if (s === "") return NaN;
+  const cleaned = /^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/.test(s) ? s.replace(/,/g, "") : s;
+  return Number(cleaned);
+}
+
+// ──────────────────────────────────────────────────────────────
+// Column mapping & validation
+// ──────────────────────────────────────────────────────────────
+
+const MAPPING_HINTS = {
+  period: /(month|period|date|time|bill|label)/i,
+  temp: /(temp|oat|°f|deg|weather)/i,
+  energy: /(energy|kwh|therm|usage|consumption|use|mmbtu|gas|elec)/i,
+};
+
+/** Optional columns: only mapped when a header matches, never by position */
+const OPTIONAL_HINTS = {
+  days: /(days|cycle)/i,
+  regime: /(regime|season|schedule|session)/i,
+};
+
+/**
+ * Guess which column holds the period label, temperature and energy
+ * from the header names. Falls back to column order (0, 1, 2).
+ * Optional columns (days in period, regime) are -1 unless a header names them.
+ */
+export function guessColumnMapping(headers) {
+  const mapping = {};
+  const taken = new Set();
+  for (const [key, re] of Object.entries(MAPPING_HINTS)) {
+    const idx = headers.findIndex((h, i) => !taken.has(i) && re.test(h));
+    if (idx >= 0) { mapping[key] = idx; taken.add(idx); }
+  }
+  for (const key of Object.keys(MAPPING_HINTS)) {
+    if (mapping[key] == null) {
+      const idx = headers.findIndex((_, i) => !taken.has(i));
+      mapping[key] = idx;
+      if (idx >= 0) taken.add(idx);
+    }
+  }
+  for (const [key, re] of Object.entries(OPTIONAL_HINTS)) {
+    mapping[key] = headers.findIndex((h, i) => !taken.has(i) && re.test(h));
+    if (mapping[key] >= 0) taken.add(mapping[key]);
+  }
+  return mapping;
+}
+
+// ──────────────────────────────────────────────────────────────
+// Billing-period length
+// ──────────────────────────────────────────────────────────────
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+/**
+ * The { month (0–11), year } a period label names, or null if the label
+ * isn't a recognisable month. Accepts "Jan-22", "Jan 2022", "January 2022",
+ * "2022-01" and "01/2022".
+ */
+function parseMonthLabel(label) {
+  const s = String(label ?? "").trim().toLowerCase();
+  let month = null, year = null;
+
+  const named = s.match(/^([a-z]{3})[a-z]*\.?[\s\-/']*(\d{2}|\d{4})$/);
+  const isoLike = s.match(/^(\d{4})[-/](\d{1,2})$/);
+  const usLike = s.match(/^(\d{1,2})[-/](\d{4})$/);
+  if (named && MONTHS.includes(named[1])) {
+    month = MONTHS.indexOf(named[1]);
+    year = Number(named[2]) + (named[2].length === 2 ? 2000 : 0);
+  } else if (isoLike) {
+    year = Number(isoLike[1]);
+    month = Number(isoLike[2]) - 1;
+  } else if (usLike) {
+    month = Number(usLike[1]) - 1;
+    year = Number(usLike[2]);
+  }
+  if (month == null || month < 0 || month > 11) return null;
+  return { month, year };
+}
+
+/** Days in the calendar month a period label names, or null (see parseMonthLabel) */
+export function daysInPeriod(label) {
+  const parsed = parseMonthLabel(label);
+  return parsed && new Date(Date.UTC(parsed.year, parsed.month + 1, 0)).getUTCDate();
+}
+
+/** Calendar month (0 = January) a period label names, or null (see parseMonthLabel) */
+export function monthOfPeriod(label) {
+  return parseMonthLabel(label)?.month ?? null;
+}
+
+// ──────────────────────────────────────────────────────────────
+// Interval (daily / hourly) timestamps
+// ──────────────────────────────────────────────────────────────
+
+/**
+ * Parse a period label as a date or date-time, returning ms since the
+ * epoch or null. Times are read as UTC wall-clock time, so a meter's local
+ * "14:00" stays 14:00 whatever the viewer's time zone. Accepts ISO dates
+ * and date-times ("2023-01-05", "2023-01-05 14:00", "2023-01-05T14:00:00")
+ * and US dates ("1/5/2023", "1/5/2023 2:00 PM"). Month labels ("Jan-22")
+ * are not timestamps.
+ */
+export function parseTimestamp(label) {
+  const s = String(label ?? "").trim();
+  const iso = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s]+(.*))?$/);
+  const us = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(.*))?$/);
+  let year, month, day, time;
+  if (iso) [, year, month, day, time] = iso;
+  else if (us) [, month, day, year, time] = us;
+  else return null;
+
+  let hour = 0, minute = 0;
+  if (time) {
+    const t = time.trim().match(/^(\d{1,2}):(\d{2})(?::\d{2}(?:\.\d+)?)?\s*(am|pm)?(?:z|[+-]\d{2}:?\d{2})?$/i);
+    if (!t) return null;
+    hour = Number(t[1]) % (t[3] ? 12 : 24) + (t[3]?.toLowerCase() === "pm" ? 12 : 0);
+    minute = Number(t[2]);
+    if (Number(t[1]) > (t[3] ? 12 : 23) || minute > 59) return null;
+  }
+  const ms = Date.UTC(Number(year), Number(month) - 1, Number(day), hour, minute);
+  const date = new Date(ms);
+  // Reject roll-overs such as Feb 30
+  if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) return null;
+  return ms;
+}
+
+const HOUR_MS = 3600 * 1000;
+
+/**
+ * Metering interval of a series from the median gap between its
+ * timestamps: "hourly", "daily", or "monthly" (billing periods, or labels
+ * that aren't timestamps).
+ */
+export function detectInterval(timestamps) {
+  if (timestamps.length < 2 || timestamps.some(t => t == null)) return "monthly";
+  const gaps = timestamps.slice(1).map((t, i) => Math.abs(t - timestamps[i])).sort((a, b) => a - b);
+  const median = gaps[Math.floor(gaps.length / 2)];
+  if (median <= 2 * HOUR_MS) return "hourly";
+  if (median <= 3 * 24 * HOUR_MS) return "daily";
+  return "monthly";
+}
+
+/**
+ * Apply a column mapping to parsed rows and validate each one.
+ *
+ * A row is rejected if its period label is missing or repeats an earlier
+ * period, if temperature/energy are missing or non-numeric, or if a mapped
+ * days cell isn't a positive number. Rejected rows are reported in
+ * `issues` (1-based line numbers, header = line 1). Where no days are
+ * given, `days` comes from the period label when it names a month.
+ * Extra variables in `mapping.vars` must be present and numeric; they are
+ * returned under `vars`. A non-blank regime cell is returned as `regime`;
+ * given `regimeNames`, it must be one of them.
+ *
+ * @param {{ rows: string[][] }} parsed - Output of parseDelimited
+ * @param {{ period: number, temp: number, energy: number, days?: number, regime?: number, vars?: Object<string, number> }} mapping - Column indices
+ * @param {string} [valueKey="energy"] - Key the energy column is stored under
+ * @param {string[]} [regimeNames] - Allowed regime tags (any if omitted)
+ * @returns {{ data: object[], issues: { line: number, message: string }[] }}
+ */
+export function validateRows(parsed, mapping, valueKey = "energy", regimeNames = null) {
+  const data = [];
+  const issues = [];
+  const seen = new Set();
+
+  parsed.rows.forEach((row, i) => {
+    const line = i + 2;
+    const period = (row[mapping.period] ?? "").trim();
+    const rawTemp = row[mapping.temp];
+    const rawValue = row[mapping.energy];
+    const problems = [];
+
+    if (period === "") problems.push("missing period");
+    else if (seen.has(period)) problems.push(`duplicate period "${period}"`);
+
+    const temp = parseNumber(rawTemp);
+    if (rawTemp == null || rawTemp.trim() === "") problems.push("missing temperature");
+    else if (!Number.isFinite(temp)) problems.push(`non-numeric temperature "${rawTemp}"`);
+
+    const value = parseNumber(rawValue);
+    if (rawValue == null || rawValue.trim() === "") problems.push(`missing ${valueKey}`);
+    else if (!Number.isFinite(value)) problems.push(`non-numeric ${valueKey} "${rawValue}"`);
+
+    // Days in period: the mapped column if filled in, else from the label
+    const rawDays = mapping.days != null && mapping.days >= 0 ? (row[mapping.days] ?? "").trim() : "";
+    let days = daysInPeriod(period);
+    if (rawDays !== "") {
+      days = parseNumber(rawDays);
+      if (!(days > 0)) problems.push(`invalid days "${rawDays}"`);
+    }
+
+    const regime = mapping.regime != null && mapping.regime >= 0 ? (row[mapping.regime] ?? "").trim() : "";
+    if (regime !== "" && regimeNames && !regimeNames.includes(regime)) problems.push(`unknown regime "${regime}"`);
+
+    const varEntries = Object.entries(mapping.vars ?? {});
+    const vars = {};
+    for (const [name, col] of varEntries) {
+      const raw = col >= 0 ? row[col] : null;
+      vars[name] = parseNumber(raw);
+      if (raw == null || raw.trim() === "") problems.push(`missing ${name}`);
+      else if (!Number.isFinite(vars[name])) problems.push(`non-numeric ${name} "${raw}"`);
+    }
+
+    if (problems.length > 0) {
+      issues.push({ line, message: problems.join("; ") });
+      return;
+    }
+    seen.add(period);
+    const out = { month: period, temp, [valueKey]: value };
+    if (days != null) out.days = days;
+    if (varEntries.length > 0) out.vars = vars;
+    if (regime !== "") out.regime = regime;
+    data.push(out);
+  });
+
+  return { data, issues };
+}
+
+/**
+ * Suggest a model family from the sign and strength of the
+ * energy–temperature correlation. Only a starting point for the user.
+ */
+export function suggestModel(temps, energy) {
+  const n = temps.length;
+  const tMean = temps.reduce((a, b) => a + b, 0) / n;
+  const eMean = energy.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0, sxx = 0, syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (temps[i] - tMean) * (energy[i] - eMean);
+    sxx += (temps[i] - tMean) ** 2;
+    syy += (energy[i] - eMean) ** 2;
+  }
+  const r = sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : 0;
+  if (r < -0.5) return "3PH";
+  if (r > 0.5) return "3PC";
+  return "5P";
+}
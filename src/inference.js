@@ -0,0 +1,551 @@
+/**
+ * Inference Pipeline
+ *
+ * Everything the workbench computes from a dataset, a model and priors:
+ * the change-point posterior, OLS comparison, coefficient posteriors,
+ * predictive fans and the savings distribution. It is free of React and
+ * its inputs and results are plain data, so it runs unchanged in the
+ * inference Web Worker (see inferenceWorker.js) or on the main thread.
+ *
+ * Datasets are { name, unit, fuel, interval?, covariates?, data }, with
+ * data rows as produced by dataImport.js; regimes are { names, slopes, tags }.
+ */
+
+import {
+  designRow, changePointPosterior, parameterPosterior, parameterPrior,
+  posteriorPredictiveFan, savingsPosterior, defaultPriors,
+  changePointSummary, mapChangePoint, jointChangePointSummary,
+  isDegreeDayModel, hasChangePoint, modelShape, AVG_MONTH_DAYS,
+  modelAveragedPredictiveFan, modelAveragedSavings,
+  regimeIndicator, regimeContrasts, linearCombinationPosterior, effectiveSampleSize,
+  timeOfWeek, timeOfWeekBins, timeOfWeekRegimes,
+  compareModels, MODEL_FAMILIES, INTERVAL_FAMILIES, fitOLSWithCP, createRng,
+  modelDifferenceSavings, parameterShifts, changePointPriorCells, updateChangePointPosterior,
+  outlierScores, levelShiftTest,
+} from "./bayesEngine.js";
+import { validateRows, daysInPeriod, parseTimestamp, monthOfPeriod } from "./dataImport.js";
+
+// ──────────────────────────────────────────────────────────────
+// Dataset helpers
+// ──────────────────────────────────────────────────────────────
+
+/** Each baseline period's regime indicator, or null without regimes */
+const regimeRows = spec => (spec ? spec.tags.map(k => regimeIndicator(k, spec.names.length, spec.slopes)) : null);
+
+/**
+ * Each calendar month's regime (0 = January), from the baseline periods
+ * whose labels name that month: the indicator most of them carry. Null
+ * without regimes. Throws if a month has no such period, since `purpose`
+ * (e.g. a year of typical months) would otherwise guess its regime.
+ */
+function calendarRegimes(rows, regimes, purpose) {
+  if (!regimes) return null;
+  const counts = Array.from({ length: 12 }, () => new Map());
+  rows.forEach((d, i) => {
+    const m = monthOfPeriod(d.month);
+    if (m == null) return;
+    const key = regimes[i].dummies.join(",");
+    const entry = counts[m].get(key) ?? { regime: regimes[i], n: 0 };
+    entry.n++;
+    counts[m].set(key, entry);
+  });
+  const missing = counts.map((c, m) => (c.size ? null : MONTH_NAMES[m])).filter(Boolean);
+  if (missing.length) {
+    throw new Error(`${purpose} takes each month's regime from the baseline, but no baseline period is labelled ${missing.join(", ")}`);
+  }
+  return counts.map(c => [...c.values()].reduce((a, b) => (b.n > a.n ? b : a)).regime);
+}
+
+/** Regime indicator for a period tagged `name`; untagged periods belong to the reference regime */
+export const regimeOf = (spec, name) => regimeIndicator(Math.max(0, spec.names.indexOf(name)), spec.names.length, spec.slopes);
+
+/** Days in each period: explicit, the interval's length, from the month label, or an average month */
+const INTERVAL_DAYS = { hourly: 1 / 24, daily: 1 };
+export const periodDays = (rows, interval = "monthly") =>
+  rows.map(d => d.days ?? INTERVAL_DAYS[interval] ?? daysInPeriod(d.month) ?? AVG_MONTH_DAYS);
+
+/** Whether a dataset is daily or hourly interval data (built-in datasets are monthly bills) */
+export const isIntervalData = ds => !!ds && (ds.interval ?? "monthly") !== "monthly";
+
+export const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/** "Wed 14:00" for an hour-of-week bin, "Wed" for a day-of-week bin */
+export const towLabel = (k, interval) => (interval === "hourly"
+  ? `${DAY_NAMES[Math.floor(k / 24)]} ${String(k % 24).padStart(2, "0")}:00`
+  : DAY_NAMES[k]);
+
+/** Each period's time-of-week bin (from its timestamp label) */
+const towBins = ds => ds.data.map(d => timeOfWeek(parseTimestamp(d.month), ds.interval));
+
+/** Time-of-week bins the predictive step shows fans for: a weekday and a weekend day, by night and by day */
+const towFanBins = interval => (interval === "hourly" ? [3 * 24 + 3, 3 * 24 + 14, 6 * 24 + 3, 6 * 24 + 14] : [3, 6]);
+
+/**
+ * Regime indicators the engine sees for a model: TOWT's time-of-week
+ * intercepts, taken from the period timestamps, or else the user's regimes
+ */
+export const modelRegimeRows = (ds, mt, spec) => (mt === "TOWT"
+  ? timeOfWeekRegimes(ds.data.map(d => parseTimestamp(d.month)), ds.interval)
+  : regimeRows(spec));
+
+/** Extra-regressor matrix (periods × variables) in the dataset's covariate order; null without covariates */
+export const extraMatrix = (rows, names) => (names?.length ? rows.map(r => names.map(n => r.vars[n])) : null);
+
+/** Baseline mean of each extra variable, where fans and demo data hold them */
+const extraMeans = (rows, names) => (names?.length
+  ? names.map(n => rows.reduce((s, r) => s + r.vars[n], 0) / rows.length)
+  : null);
+
+// ──────────────────────────────────────────────────────────────
+// Reporting period
+// ──────────────────────────────────────────────────────────────
+
+// Demo mode only: fabricate a reporting year with a known savings rate
+// against the posterior mean, so the Savings step has something to show.
+export const DEMO_SAVINGS_PCT = 12;
+const DEMO_REPORTING_TEMPS = [30, 38, 48, 58, 66, 76, 82, 80, 72, 60, 44, 32];
+
+/**
+ * Demo periods ({ month, temp, days?, regime? }) for monthly data: a typical
+ * year, January first, where with `regimes` (each calendar month's, see
+ * calendarRegimes) every month keeps its baseline regime, so e.g. summer
+ * break stays in summer.
+ */
+const demoMonths = (regimes = null) => DEMO_REPORTING_TEMPS.map((temp, i) => ({
+  month: MONTH_NAMES[i], temp, regime: regimes ? regimes[i] : null,
+}));
+
+/**
+ * Demo periods for interval data: the baseline replayed, so every
+ * time-of-week bin and the weather are as realistic as the baseline's
+ */
+const demoReplay = (rows, days, regimes = null) => rows.map((d, i) => ({
+  month: d.month, temp: d.temp, days: days[i], regime: regimes ? regimes[i] : null,
+}));
+
+/**
+ * Synthetic actuals for the demo periods, with extra variables held at
+ * `extra` (e.g. their baseline means) and ±1.5% noise from `rng`
+ */
+function demoReportingData(post, modelType, cp1, cp2, extra, periods, rng) {
+  return periods.map(period => {
+    const x = designRow(period.temp, modelType, cp1, cp2, extra, period.regime);
+    const predicted = x.reduce((s, v, j) => s + v * post.muN[j], 0) * (isDegreeDayModel(modelType) ? period.days ?? AVG_MONTH_DAYS : 1);
+    const actual = predicted * (1 - DEMO_SAVINGS_PCT / 100) + (rng() - 0.5) * predicted * 0.03;
+    return { ...period, extra, actual: Math.round(actual), predicted: Math.round(predicted) };
+  });
+}
+
+/**
+ * Validate editable reporting rows ({ month, temp, actual, days?, vars?, regime? } as strings).
+ * With `timestamps` (TOWT), period labels must also parse as dates/times.
+ */
+export function validateReporting(rows, varNames = [], regimeNames = null, timestamps = false) {
+  const result = validateRows(
+    { rows: rows.map(r => [r.month, String(r.temp), String(r.actual), String(r.days ?? ""), r.regime ?? "", ...varNames.map(n => String(r.vars?.[n] ?? ""))]) },
+    { period: 0, temp: 1, energy: 2, days: 3, regime: 4, vars: Object.fromEntries(varNames.map((n, k) => [n, 5 + k])) },
+    "actual",
+    regimeNames
+  );
+  if (!timestamps) return result;
+  const issues = new Map(result.issues.map(iss => [iss.line, iss.message]));
+  rows.forEach((r, i) => {
+    if (r.month.trim() === "" || parseTimestamp(r.month) != null) return;
+    const message = `period "${r.month}" is not a date/time (the time-of-week model needs one)`;
+    issues.set(i + 2, issues.has(i + 2) ? `${issues.get(i + 2)}; ${message}` : message);
+  });
+  return {
+    data: result.data.filter(d => parseTimestamp(d.month) != null),
+    issues: [...issues].map(([line, message]) => ({ line, message })).sort((x, y) => x.line - y.line),
+  };
+}
+
+// ──────────────────────────────────────────────────────────────
+// Reporting-period model: two-model and normalized savings
+// ──────────────────────────────────────────────────────────────
+
+export const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+const NORMAL_MONTH_DAYS = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+/** A reporting-period model is fitted for every family but TOWT, whose shifts would be one per time-of-week bin */
+export const supportsReportingModel = mt => mt !== "TOWT";
+
+/** Normalized savings also need monthly bills: interval data would need an hourly typical year */
+export const supportsNormalized = (ds, mt) => !isIntervalData(ds) && supportsReportingModel(mt);
+
+/**
+ * Normal monthly temperatures from the baseline itself: each calendar
+ * month's mean baseline temperature, or null unless the period labels
+ * cover all twelve months
+ */
+export function baselineNormals(rows) {
+  const sums = Array(12).fill(0), counts = Array(12).fill(0);
+  rows.forEach(d => {
+    const m = monthOfPeriod(d.month);
+    if (m != null) { sums[m] += d.temp; counts[m]++; }
+  });
+  return counts.every(c => c > 0) ? sums.map((s, m) => Math.round((s / counts[m]) * 10) / 10) : null;
+}
+
+/**
+ * The standard year normalized savings are evaluated on: the twelve
+ * calendar months at their normal temperatures, extra variables at their
+ * baseline means and, with `regimes` (each calendar month's, see
+ * calendarRegimes), every month in its baseline regime
+ */
+const normalYear = (temps, extra, regimes) => temps.map((temp, i) => ({
+  month: MONTH_NAMES[i], temp, days: NORMAL_MONTH_DAYS[i], extra, regime: regimes ? regimes[i] : null,
+}));
+
+/**
+ * The reporting periods as model inputs, with the coefficient count p and
+ * default (data-scaled) priors for a reporting-period model
+ */
+function reportingInputs(reportingData, modelType) {
+  const temps = reportingData.map(d => d.temp);
+  const actual = reportingData.map(d => d.actual);
+  const days = reportingData.map(d => d.days ?? AVG_MONTH_DAYS);
+  const extra = reportingData[0]?.extra?.length ? reportingData.map(d => d.extra) : null;
+  const regimes = reportingData[0]?.regime ? reportingData.map(d => d.regime) : null;
+  return {
+    temps, actual, days, extra, regimes,
+    p: designRow(0, modelType, 0, 0, extra?.[0], regimes?.[0]).length,
+    priors: defaultPriors(temps, actual, modelType, days, extra, regimes),
+  };
+}
+
+/**
+ * The same model family fitted to the reporting periods' actual use (see
+ * reportingInputs). Null when there are too few periods for its coefficients.
+ */
+function reportingModel(reportingData, modelType) {
+  const { temps, actual, days, extra, regimes, p, priors } = reportingInputs(reportingData, modelType);
+  if (reportingData.length < p + 2) return null;
+  const cpResults = changePointPosterior(temps, actual, modelType, priors, { days, extra, regimes });
+  return cpResults.length ? cpResults : null;
+}
+
+/**
+ * Weather-normalized savings on `year` (see normalYear), drawn from
+ * `seed + 2`, a stream of its own. There is no closed form, so
+ * "closedForm" draws as "fixed" does.
+ */
+export function computeNormalized(mt, cpResults, reportingCP, year, { seed = null, sampling = "fixed" } = {}) {
+  return modelDifferenceSavings(cpResults, reportingCP, mt, year, 5000, {
+    ...SAMPLING_METHODS[sampling].options, seed: seed == null ? null : seed + 2,
+  });
+}
+
+/**
+ * Two-model comparison on the reporting periods: savings as baseline −
+ * reporting-model predictions, and the shift in every coefficient and
+ * change point. Draws from `seed + 3` and `seed + 4`; no closed form, as
+ * for computeNormalized.
+ */
+export function computeTwoModel(mt, cpResults, reportingCP, reportingData, { seed = null, sampling = "fixed" } = {}) {
+  const options = offset => ({ ...SAMPLING_METHODS[sampling].options, seed: seed == null ? null : seed + offset });
+  return {
+    savings: modelDifferenceSavings(cpResults, reportingCP, mt, reportingData, 5000, options(3)),
+    shifts: parameterShifts(cpResults, reportingCP, mt, 5000, options(4)),
+  };
+}
+
+// ──────────────────────────────────────────────────────────────
+// Savings timeline
+// ──────────────────────────────────────────────────────────────
+
+/** The timeline is month by month, so it is for monthly bills */
+export const supportsTimeline = ds => !isIntervalData(ds);
+
+/**
+ * Cumulative savings against actual use through each reporting period, in
+ * closed form, with the headline's noise correlation `rho` and non-routine
+ * `adjustments`, so the last entry is the headline savings (exactly, when
+ * those are closed form too). Adjustments carry no dates, so each is
+ * spread evenly over the m periods: through period k it counts k/m of its
+ * amount and SD. An uncertain one has to be drawn, 5,000 draws from `seed`.
+ */
+export function timelineSavings(mt, cpResults, reportingData, { rho = 0, seed = null, adjustments = [] } = {}) {
+  const m = reportingData.length;
+  return reportingData.map((_, k) => modelAveragedSavings(cpResults, mt, reportingData.slice(0, k + 1), 5000, {
+    method: "analytic", rho, seed,
+    adjustments: adjustments.map(a => ({ ...a, mean: (a.mean * (k + 1)) / m, sd: (a.sd * (k + 1)) / m })),
+  }));
+}
+
+/**
+ * Savings credibility period by period, as if the reporting months arrived
+ * one at a time. Entry k holds the cumulative savings over the first k
+ * periods against the baseline (timelineSavings, with `rho` and
+ * `adjustments`) and the actual use so far and, with a reporting-period
+ * model, two-model savings from that model updated one period at a time
+ * from its prior (updateChangePointPosterior), once it has two more
+ * periods than coefficients; those draw from `seed + 5`.
+ */
+export function savingsTimeline(mt, cpResults, reportingData, reportingCP, { seed = null, rho = 0, adjustments = [] } = {}) {
+  const inputs = reportingCP && reportingInputs(reportingData, mt);
+  const savings = timelineSavings(mt, cpResults, reportingData, { rho, seed, adjustments });
+  let cells = reportingCP && changePointPriorCells(reportingCP, inputs.priors);
+  let actualTotal = 0;
+  return reportingData.map((d, k) => {
+    const periods = reportingData.slice(0, k + 1);
+    actualTotal += d.actual;
+    let twoModel = null;
+    if (cells) {
+      cells = updateChangePointPosterior(cells, mt, [{ ...d, energy: d.actual }]);
+      if (k + 1 >= inputs.p + 2) {
+        twoModel = modelDifferenceSavings(cpResults, cells, mt, periods, 2000, { seed: seed == null ? null : seed + 5 });
+      }
+    }
+    return { month: d.month, actualTotal, savings: savings[k], twoModel };
+  });
+}
+
+// ──────────────────────────────────────────────────────────────
+// Non-routine events
+// ──────────────────────────────────────────────────────────────
+
+/**
+ * Screening is for monthly bills: interval data would score thousands of
+ * hours or days, each against a noisy single-period prediction
+ */
+export const supportsScreening = ds => !isIntervalData(ds);
+
+/**
+ * Screening of the reporting periods for non-routine events: every
+ * period's posterior-predictive tail probability against the baseline
+ * (outlierScores), and the level-shift test on their residuals once there
+ * are three periods
+ */
+function nonRoutineEvents(mt, cpResults, reportingData) {
+  const scores = outlierScores(cpResults, mt, reportingData);
+  return { scores, levelShift: scores.length >= 3 ? levelShiftTest(scores) : null };
+}
+
+// ──────────────────────────────────────────────────────────────
+// Pipeline
+// ──────────────────────────────────────────────────────────────
+
+/**
+ * How the savings distribution is computed: a fixed 5,000 draws, draws
+ * until the Monte Carlo error is within 1% of the posterior SD, or the
+ * exact Student-t mixture (no draws).
+ */
+export const SAMPLING_METHODS = {
+  fixed: { label: "Monte Carlo (5,000 draws)", options: {} },
+  adaptive: { label: "Adaptive Monte Carlo", options: { tolerance: 0.01 } },
+  closedForm: { label: "Closed form (exact)", options: { method: "analytic" } },
+};
+
+/**
+ * Savings posterior: averaged over change points, and MAP-only for
+ * comparison. Both draw from `seed`, so the same seed reproduces them.
+ *
+ * @param {object} options - { rho, seed, sampling, adjustments } (sampling: a
+ *   SAMPLING_METHODS key; adjustments: non-routine adjustments, see savingsPosterior)
+ */
+export function computeSavings(mt, cpResults, bestCP, reportingData, { rho = 0, seed = null, sampling = "fixed", adjustments = [] } = {}) {
+  if (reportingData.length === 0) return { bma: null, map: null };
+  const opts = { rho, seed, adjustments, ...SAMPLING_METHODS[sampling].options };
+  return {
+    bma: modelAveragedSavings(cpResults, mt, reportingData, 5000, opts),
+    map: savingsPosterior(bestCP.post, mt, bestCP.cp, bestCP.cp2 || null, reportingData, 5000, opts),
+  };
+}
+
+/**
+ * Fit the baseline model and everything the Posterior, Predictive and
+ * Savings steps show. Returns null when no change-point candidate fits
+ * (e.g. the priors are invalid).
+ *
+ * Every random draw (demo actuals, savings) comes from `seed`, so a
+ * request always gives the same result. With `twoModel`, a second model
+ * is fitted to the reporting period and compared with the baseline; with
+ * `normals` (twelve monthly temperatures, January first) monthly models
+ * also give weather-normalized savings. Monthly data also get a savings
+ * timeline (see savingsTimeline) and are screened for non-routine events;
+ * `adjustments` for such events enter the savings.
+ *
+ * @param {object} request - { dataset, modelType, priors, regimes, reportingMode, reportingRows, noiseRho, seed, sampling, normals, twoModel, adjustments }
+ * @param {function} [onProgress] - (stage, fraction) as the pipeline moves along, fraction in [0, 1]
+ */
+export function runInference(request, onProgress = () => {}) {
+  const { dataset, modelType, priors, regimes, reportingMode, reportingRows, noiseRho, seed, sampling, normals, twoModel, adjustments } = request;
+  const temps = dataset.data.map(d => d.temp);
+  const energy = dataset.data.map(d => d.energy);
+  const days = periodDays(dataset.data, dataset.interval);
+  const extra = extraMatrix(dataset.data, dataset.covariates);
+  const xMeans = extraMeans(dataset.data, dataset.covariates);
+  // TOWT's time-of-week intercepts take the place of user regimes
+  const towt = modelType === "TOWT";
+  const userRegimes = towt ? null : regimes;
+  const regimeData = modelRegimeRows(dataset, modelType, regimes);
+
+  // Bayesian: posterior over change-points
+  onProgress("Change-point grid", 0);
+  const cpResults = changePointPosterior(temps, energy, modelType, priors, {
+    days, extra, regimes: regimeData,
+    onProgress: f => onProgress("Change-point grid", 0.7 * f),
+  });
+  if (cpResults.length === 0) return null;
+
+  // Best change-point (MAP)
+  const bestCP = mapChangePoint(cpResults);
+  const post = bestCP.post;
+
+  // OLS for comparison
+  onProgress("OLS comparison", 0.7);
+  const ols = fitOLSWithCP(temps, energy, modelType, days, extra, regimeData);
+
+  // Parameter posteriors (TOWT's time-of-week intercepts are shown as a weekly profile instead)
+  const nBase = designRow(0, modelType, 0, 0).length;
+  const nCovariates = dataset.covariates?.length ?? 0;
+  const paramIndices = post.muN.map((_, i) => i).filter(i => !towt || i < nBase || i >= post.p - nCovariates);
+  const paramPosts = paramIndices.map(i => parameterPosterior(post, i));
+  const paramPriors = paramIndices.map(i => parameterPrior(priors, i, post.p));
+
+  // Per-regime coefficients: each is the reference coefficient plus that regime's shift
+  const regimePosts = userRegimes && userRegimes.names.map((_, k) =>
+    regimeContrasts(modelType, regimeIndicator(k, userRegimes.names.length, userRegimes.slopes), post.p)
+      .map(c => linearCombinationPosterior(post, c)));
+
+  // TOWT: expected load in every time-of-week bin at the baseline's mean temperature
+  const nBins = towt ? timeOfWeekBins(dataset.interval) : 0;
+  const tMean = temps.reduce((a, b) => a + b, 0) / temps.length;
+  const towProfile = towt ? Array.from({ length: nBins }, (_, k) => {
+    const pp = linearCombinationPosterior(post, designRow(tMean, modelType, null, null, xMeans, regimeIndicator(k, nBins)), 2);
+    return { bin: k, mean: pp.mean, lo: pp.ci95[0], hi: pp.ci95[1] };
+  }) : null;
+
+  // Posterior predictive fan and OLS line, one of each per regime or shown time-of-week bin
+  // (degree-day families: for an average-length month)
+  onProgress("Predictive fans", 0.8);
+  const tMin = Math.min(...temps) - 3;
+  const tMax = Math.max(...temps) + 3;
+  const cp1 = bestCP.cp;
+  const cp2 = bestCP.cp2 || null;
+  const lineDays = isDegreeDayModel(modelType) ? AVG_MONTH_DAYS : 1;
+  const fanSpecs = towt
+    ? towFanBins(dataset.interval).map(k => ({ label: towLabel(k, dataset.interval), index: k, regime: regimeIndicator(k, nBins) }))
+    : userRegimes
+      ? userRegimes.names.map((name, k) => ({ label: name, index: k, regime: regimeIndicator(k, userRegimes.names.length, userRegimes.slopes) }))
+      : [{ label: null, index: 0, regime: null }];
+  const fans = fanSpecs.map(({ label, index, regime }) => {
+    const olsLine = [];
+    if (ols) {
+      for (let t = tMin; t <= tMax; t += 0.5) {
+        const x = designRow(t, modelType, ols.cp || ols.cph, ols.cpc, xMeans, regime);
+        olsLine.push({ temp: t, energy: lineDays * x.reduce((s, v, j) => s + v * ols.beta[j], 0) });
+      }
+    }
+    return {
+      label, index,
+      map: posteriorPredictiveFan(post, modelType, cp1, cp2, tMin, tMax, 100, xMeans, regime),
+      bma: modelAveragedPredictiveFan(cpResults, modelType, tMin, tMax, 100, xMeans, regime),
+      olsLine,
+    };
+  });
+
+  // Reporting period: the user's actual data, or synthetic periods in demo mode
+  // (a typical year for monthly bills; the baseline replayed for interval data)
+  onProgress("Savings", 0.9);
+  const actualRows = reportingMode === "demo" ? [] : validateReporting(reportingRows, dataset.covariates, userRegimes?.names, towt).data;
+  const actualDays = periodDays(actualRows, dataset.interval);
+  const reportingData = reportingMode === "demo"
+    ? demoReportingData(post, modelType, cp1, cp2, xMeans,
+      isIntervalData(dataset) ? demoReplay(dataset.data, days, regimeData) : demoMonths(calendarRegimes(dataset.data, regimeData, "The demo year")),
+      createRng(seed + 1)) // a stream of its own, apart from the savings draws
+    : actualRows.map((d, i) => ({
+      ...d,
+      days: actualDays[i],
+      extra: dataset.covariates?.map(n => d.vars[n]),
+      regime: towt ? regimeIndicator(timeOfWeek(parseTimestamp(d.month), dataset.interval), nBins)
+        : userRegimes ? regimeOf(userRegimes, d.regime) : null,
+    }));
+
+  // Reporting-period model, for the two-model comparison and for normalized savings on the normal year
+  const year = normals && supportsNormalized(dataset, modelType) ? normalYear(normals, xMeans, calendarRegimes(dataset.data, regimeData, "Normalized savings")) : null;
+  const fitReporting = (year || twoModel) && supportsReportingModel(modelType) && reportingData.length > 0;
+  if (fitReporting) onProgress("Reporting-period model", 0.95);
+  const reportingCP = fitReporting ? reportingModel(reportingData, modelType) : null;
+
+  return {
+    modelType, cpResults, bestCP, post, ols,
+    paramIndices, paramPosts, paramPriors, regimePosts, towProfile,
+    fans, fanTags: towt ? towBins(dataset) : userRegimes ? userRegimes.tags : null,
+    reportingData, reportingMode,
+    rhoSummary: priors.ar1 ? {
+      ...changePointSummary(cpResults, "rho"),
+      nEff: cpResults.reduce((s, r) => s + r.posterior * effectiveSampleSize(temps.length, r.rho), 0),
+      prior: priors.ar1,
+    } : null,
+    cpSummary: hasChangePoint(modelType) ? {
+      cp: changePointSummary(cpResults, "cp"),
+      cp2: modelShape(modelType) === "5P" ? changePointSummary(cpResults, "cp2") : null,
+      joint: modelShape(modelType) === "5P" ? jointChangePointSummary(cpResults) : null,
+    } : null,
+    savings: computeSavings(modelType, cpResults, bestCP, reportingData, { rho: noiseRho, seed, sampling, adjustments }),
+    events: supportsScreening(dataset) && reportingData.length > 0 ? nonRoutineEvents(modelType, cpResults, reportingData) : null,
+    normalYear: year, reportingCP,
+    normalized: reportingCP && year && computeNormalized(modelType, cpResults, reportingCP, year, { seed, sampling }),
+    twoModel: reportingCP && twoModel ? computeTwoModel(modelType, cpResults, reportingCP, reportingData, { seed, sampling }) : null,
+    timeline: supportsTimeline(dataset) && reportingData.length > 0
+      ? savingsTimeline(modelType, cpResults, reportingData, twoModel ? reportingCP : null, { seed, rho: noiseRho, adjustments })
+      : null,
+    cp1, cp2, covariates: dataset.covariates ?? [], regimes: userRegimes,
+  };
+}
+
+/**
+ * The savings figures of a finished runInference result, recomputed for a
+ * new noise correlation, sampling method or set of adjustments without
+ * refitting anything. Savings and the timeline's savings against actual
+ * use always (its two-model entries depend on none of these); normalized
+ * and two-model savings only with `resample` (the sampling method
+ * changed), as nothing else they depend on can.
+ *
+ * @param {object} request - { modelType, cpResults, bestCP, reportingData, reportingCP, normalYear, twoModel, timeline, seed, rho, sampling, adjustments, resample }
+ */
+export function runSavings(request) {
+  const { modelType, cpResults, bestCP, reportingData, reportingCP, normalYear: year, twoModel, timeline, seed, rho, sampling, adjustments, resample } = request;
+  const savings = computeSavings(modelType, cpResults, bestCP, reportingData, { rho, seed, sampling, adjustments });
+  const cumulative = timeline && timelineSavings(modelType, cpResults, reportingData, { rho, seed, adjustments });
+  const rebuilt = { savings, timeline: timeline && timeline.map((e, k) => ({ ...e, savings: cumulative[k] })) };
+  if (!resample) return rebuilt;
+  return {
+    ...rebuilt,
+    normalized: reportingCP && year ? computeNormalized(modelType, cpResults, reportingCP, year, { seed, sampling }) : null,
+    twoModel: reportingCP && twoModel ? computeTwoModel(modelType, cpResults, reportingCP, reportingData, { seed, sampling }) : null,
+  };
+}
+
+/**
+ * Evidence for every model family; the selected one keeps the user's priors,
+ * the others start from their defaults.
+ *
+ * @param {object} request - { dataset, modelType, priors, regimes }
+ * @param {function} [onProgress] - (stage, fraction), one stage per family
+ */
+export function runComparison(request, onProgress = () => {}) {
+  const { dataset, modelType, priors, regimes } = request;
+  const temps = dataset.data.map(d => d.temp);
+  const energy = dataset.data.map(d => d.energy);
+  const days = periodDays(dataset.data, dataset.interval);
+  const extra = extraMatrix(dataset.data, dataset.covariates);
+  const families = isIntervalData(dataset) ? [...MODEL_FAMILIES, ...INTERVAL_FAMILIES] : MODEL_FAMILIES;
+  // Noise priors are per period or per day, so only share them between families on the same scale
+  const sameScale = mt => isDegreeDayModel(mt) === isDegreeDayModel(modelType);
+  const priorsFor = mt => (mt === modelType ? priors : {
+    ...defaultPriors(temps, energy, mt, days, extra, modelRegimeRows(dataset, mt, regimes)),
+    ...(sameScale(mt) ? { noiseA: priors.noiseA, noiseB: priors.noiseB } : {}),
+    ar1: priors.ar1,
+  });
+  const optionsFor = mt => {
+    const k = families.indexOf(mt);
+    return {
+      days, extra, regimes: modelRegimeRows(dataset, mt, regimes),
+      onProgress: f => onProgress(mt, (k + f) / families.length),
+    };
+  };
+  return compareModels(temps, energy, priorsFor, families, optionsFor);
+}
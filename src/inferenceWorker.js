@@ -0,0 +1,26 @@
+/**
+ * Inference Web Worker
+ *
+ * Runs the inference pipeline (inference.js) off the main thread so the
+ * workbench stays responsive on large datasets and fine 5P grids.
+ *
+ *   in:  { id, task: "inference" | "comparison" | "savings", request }
+ *   out: { id, type: "progress", stage, fraction }, …
+ *        then { id, type: "result", result } or { id, type: "error", message }
+ *
+ * A synchronous run can't be interrupted from inside; the page cancels one
+ * by terminating the worker and starting a fresh one for the next run.
+ */
+
+import { runInference, runComparison, runSavings } from "./inference.js";
+
+const TASKS = { inference: runInference, comparison: runComparison, savings: runSavings };
+
+self.onmessage = ({ data: { id, task, request } }) => {
+  try {
+    const result = TASKS[task](request, (stage, fraction) => self.postMessage({ id, type: "progress", stage, fraction }));
+    self.postMessage({ id, type: "result", result });
+  } catch (err) {
+    self.postMessage({ id, type: "error", message: err.message });
+  }
+};